@@ -1,89 +1,48 @@
 /**
- * Vercel serverless function: match user query to Stockholm bars using OpenAI.
- * Set OPENAI_API_KEY in Vercel env. POST body: { "message": "date vibe" }
- * Returns: { "barIds": ["id1", "id2"], "reply": "Short message" }
+ * Vercel serverless function: match user query to Stockholm bars using an LLM.
+ * Set OPENAI_API_KEY (or the LLM_* vars from lib/llm-provider.js) in Vercel env;
+ * without it the local ranker answers alone. POST body:
+ *   { "message": "cheaper than that", "history": [{ "message": "date vibe", "barIds": ["id1", "id2"] }] }
+ * Returns: { "barIds": ["id1"], "reply": "Short message", "mode": "narrowed",
+ *            "results": [{ "id": "id1", "name": "Bar", "reason": "38 kr, open till 03, dance floor" }] }
+ * (history is optional; see lib/bar-chat.js for the modes). With "stream": true the
+ * response is NDJSON: "bars", then "delta" events with the reply text, then "done".
+ * Answers are cached and rate limited per IP (429 + Retry-After); only origins in
+ * CORS_ORIGINS may call it cross-site (lib/guard.js).
  */
 
-const fs = require('fs');
-const path = require('path');
+const { answerBarChat, streamBarChat } = require('../lib/bar-chat');
+const { providerFromEnv } = require('../lib/llm-provider');
+const { createMemoryStore } = require('../lib/store');
+const { guardFromEnv, clientIp, corsHeaders } = require('../lib/guard');
 
-function loadBars() {
-  const p = path.join(__dirname, '..', 'bars.json');
-  const raw = fs.readFileSync(p, 'utf8');
-  const data = JSON.parse(raw);
-  return Array.isArray(data) ? data : (data.bars || data.data || []);
-}
+// Inside the function's time limit, so a slow or failing model still leaves time to answer
+// locally; LLM_DEADLINE_MS overrides it.
+const LLM_DEADLINE_MS = 7000;
 
-function buildBarSummary(bars) {
-  return bars.map((b) => {
-    const name = b.bar_name || b.name || 'Unknown';
-    const id = b.id || name.toLowerCase().replace(/\s+/g, '-');
-    const vibes = Array.isArray(b.vibes) ? b.vibes.join(', ') : (b.vibes || '');
-    const dance = b.dance_floor || 'unknown';
-    const danceNotes = b.dance_notes || '';
-    const price = b.price != null ? `${b.price} kr` : 'unknown';
-    const hours = typeof b.opening_hours === 'string' ? b.opening_hours : (b.opening_hours ? JSON.stringify(b.opening_hours) : '');
-    return { id, name, vibes, dance, danceNotes, price, hours };
-  });
-}
-
-async function callOpenAI(apiKey, barSummary, userMessage) {
-  const barListText = barSummary
-    .map(
-      (b) =>
-        `- id: "${b.id}" | name: "${b.name}" | vibes: ${b.vibes || 'none'} | dance_floor: ${b.dance} ${b.danceNotes ? '| ' + b.danceNotes : ''} | beer: ${b.price} | hours: ${b.hours || 'unknown'}`
-    )
-    .join('\n');
-
-  const systemPrompt = `You are a helpful assistant for a Stockholm bar map. You ONLY recommend bars from the list below. Match the user's request to bar ids by vibe, type (gay bar, dance, date, chill, party, girls night), price, or name. Return a JSON object with exactly two keys: "barIds" (array of bar ids from the list that match) and "reply" (one short friendly sentence in English, e.g. "Here are 3 places that match."). If nothing matches well, return a few closest matches anyway. Use only the "id" values from the list.`;
-
-  const userPrompt = `Bar list:\n${barListText}\n\nUser request: ${userMessage}\n\nRespond with JSON only: {"barIds": ["id1", "id2"], "reply": "Your short message"}`;
-
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.3,
-      max_tokens: 500,
-    }),
-  });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenAI API error: ${res.status} ${err}`);
-  }
-
-  const data = await res.json();
-  const content = data.choices?.[0]?.message?.content?.trim() || '';
-  const jsonMatch = content.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) throw new Error('No JSON in OpenAI response');
-  const parsed = JSON.parse(jsonMatch[0]);
-  const barIds = Array.isArray(parsed.barIds) ? parsed.barIds : [];
-  const reply = typeof parsed.reply === 'string' ? parsed.reply : 'Here are some matches.';
-  return { barIds, reply };
-}
+// Module scope: shared by requests that hit the same warm instance
+const llm = providerFromEnv(undefined, { deadlineMs: LLM_DEADLINE_MS });
+const store = createMemoryStore();
+const { limiter, allowedOrigins } = guardFromEnv();
 
 module.exports = async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  const cors = corsHeaders(req.headers, allowedOrigins);
+  if (!cors) return req.method === 'OPTIONS' ? res.status(403).end() : res.status(403).json({ error: 'Origin not allowed' });
+  Object.entries(cors).forEach(([name, value]) => res.setHeader(name, value));
   if (req.method === 'OPTIONS') return res.status(204).end();
 
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'OPENAI_API_KEY not configured' });
+  const rate = await limiter.take(clientIp(req.headers, req.socket && req.socket.remoteAddress));
+  if (!rate.allowed) {
+    res.setHeader('Retry-After', String(rate.retryAfter));
+    return res.status(429).json({
+      error: 'Too many requests',
+      barIds: [],
+      reply: `Too many searches – try again in ${rate.retryAfter}s.`,
+    });
   }
 
   let body;
@@ -92,15 +51,19 @@ module.exports = async function handler(req, res) {
   } catch {
     return res.status(400).json({ error: 'Invalid JSON body' });
   }
-  const message = (body.message || '').trim();
+  const message = body && typeof body.message === 'string' ? body.message.trim() : '';
   if (!message) {
     return res.status(400).json({ error: 'Missing "message" in body' });
   }
 
+  if (body.stream === true) {
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+    await streamBarChat({ llm, message, history: body.history, cache: store }, (event) => res.write(JSON.stringify(event) + '\n'));
+    return res.end();
+  }
+
   try {
-    const bars = loadBars();
-    const summary = buildBarSummary(bars);
-    const result = await callOpenAI(apiKey, summary, message);
+    const result = await answerBarChat({ llm, message, history: body.history, cache: store });
     return res.status(200).json(result);
   } catch (err) {
     console.error('bar-chat error:', err);
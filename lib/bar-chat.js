@@ -0,0 +1,309 @@
+/**
+ * Bar-chat logic shared by server.js (local dev) and api/bar-chat.js (Vercel).
+ * Matches a user message to bars in bars.json: lib/bar-query.js parses hard limits
+ * and ranks the bars locally, then the LLM (lib/llm-provider.js) picks from that
+ * shortlist. Without a configured provider the local ranking answers on its own.
+ *
+ * Conversations: the client sends earlier turns as
+ *   history: [{ "message": "date vibe", "barIds": ["id1", "id2"] }, ...]
+ * so follow-ups like "cheaper than that" refine the last result set instead of
+ * starting over. The response says what happened to that set in "mode":
+ *   new       – no earlier results to compare with
+ *   narrowed  – a subset of the earlier results
+ *   widened   – all earlier results plus more
+ *   replaced  – a different set
+ *   unchanged – same bars (or nothing new matched)
+ *
+ * Model output is checked by lib/validate-bar-chat.js, and every suggested bar comes
+ * back with a reason built from bars.json: results: [{ id, name, reason }]. When the
+ * model fails (a broken reply, a timeout, an HTTP or network error) the local ranking answers.
+ *
+ * Answers are cached (lib/store.js) under the normalized message and history plus a
+ * hash of bars.json, so editing the data invalidates them, and the Stockholm weekday
+ * ("open till 01" is today's hours). Questions about what is open now are not cached:
+ * they go stale by the minute. Cache hits have cached: true. BAR_CHAT_CACHE_TTL_MS sets
+ * the lifetime (default 10 min).
+ *
+ * Streaming (request body "stream": true): streamBarChat() writes NDJSON events –
+ *   { "type": "bars", "barIds", "mode", "results" }  as soon as the ids are known
+ *   { "type": "delta", "text" }                      pieces of the reply
+ *   { "type": "done", ...full answer }               final, authoritative answer
+ *   { "type": "error", "error", "reply" }            instead of "done" on failure
+ * "done" can differ from what was streamed (e.g. a broken model reply that was
+ * replaced by the local answer), so clients render it last.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  barId,
+  barPrice,
+  parseQuery,
+  mergeQueries,
+  isFollowUp,
+  wantsMore,
+  rankBars,
+  shortlist,
+  describeQuery,
+  answerLocally,
+} = require('./bar-query');
+const { formatWeek, stockholmNow } = require('./opening-hours');
+const Menu = require('./menu');
+const { normalizeBar } = require('./bar-normalize');
+const { parseModelReply, createReplyStreamParser, resolveBarIds, buildResults } = require('./validate-bar-chat');
+
+const BARS_PATH = path.join(__dirname, '..', 'bars.json');
+const MAX_HISTORY_TURNS = 6;
+const MAX_MESSAGE_LENGTH = 500;
+const CACHE_TTL_MS = Number(process.env.BAR_CHAT_CACHE_TTL_MS) || 10 * 60 * 1000;
+// err.code of a failed model call (lib/llm-provider.js, lib/validate-bar-chat.js)
+const LLM_FAILURES = ['INVALID_MODEL_REPLY', 'LLM_TIMEOUT', 'LLM_HTTP_ERROR', 'LLM_NETWORK_ERROR'];
+
+function sha1(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// bars.json in the shape of lib/bar-normalize.js, plus a hash of its contents for cache keys
+function readBars() {
+  const raw = fs.readFileSync(BARS_PATH, 'utf8');
+  const data = JSON.parse(raw);
+  const rows = Array.isArray(data) ? data : (data.bars || data.data || []);
+  return { bars: rows.map(normalizeBar), hash: sha1(raw).slice(0, 12) };
+}
+
+function loadBars() {
+  return readBars().bars;
+}
+
+function buildBarSummary(bars) {
+  return bars.map((b) => {
+    const id = barId(b);
+    const vibes = b.vibes.join(', ');
+    const danceNotes = b.dance_notes || '';
+    const price = b.price_found ? `${b.cheapest_beer_sek} kr` : 'unknown';
+    const raw = typeof b.opening_hours === 'string' ? b.opening_hours : (b.opening_hours ? JSON.stringify(b.opening_hours) : '');
+    const hours = formatWeek(b.opening_week) || raw;
+    const happyHours = b.happy_hours.map((w) => `${formatWeek(w.week)} ${w.price} kr`).join('; ');
+    // Cheapest glass per category, e.g. "cider 59 kr (33 cl, 179 kr/l)"
+    const menu = b.menu;
+    const drinks = Menu.categoriesOf(menu).map((category) => {
+      const item = Menu.cheapest(menu, category);
+      const size = item.cl ? ` (${item.cl} cl, ${Menu.pricePerLitre(item)} kr/l)` : '';
+      return `${Menu.LABELS[category].toLowerCase()} ${item.price} kr${size}`;
+    }).join('; ');
+    return { id, name: b.name, vibes, dance: b.dance_floor, danceNotes, price, hours, happyHours, drinks };
+  });
+}
+
+// Keep only well-formed turns, newest last, capped so the prompt stays small
+function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter((t) => t && typeof t.message === 'string' && t.message.trim())
+    .slice(-MAX_HISTORY_TURNS)
+    .map((t) => ({
+      message: t.message.trim().slice(0, MAX_MESSAGE_LENGTH),
+      barIds: Array.isArray(t.barIds) ? t.barIds.filter((id) => typeof id === 'string') : [],
+    }));
+}
+
+// The result set a follow-up refines: the most recent turn that returned bars
+function previousResultIds(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].barIds.length) return history[i].barIds;
+  }
+  return null;
+}
+
+function compareResultSets(previousIds, nextIds) {
+  if (!previousIds || !previousIds.length) return 'new';
+  if (!nextIds.length) return 'unchanged';
+  const prev = new Set(previousIds);
+  const next = new Set(nextIds);
+  const nextInPrev = [...next].every((id) => prev.has(id));
+  const prevInNext = [...prev].every((id) => next.has(id));
+  if (nextInPrev && prevInNext) return 'unchanged';
+  if (nextInPrev) return 'narrowed';
+  if (prevInNext) return 'widened';
+  return 'replaced';
+}
+
+/** stream, when given, is { onBarIds, onReplyText } for a streamed completion. */
+async function askModel(llm, barSummary, userMessage, history, constraints, stream) {
+  const barListText = barSummary
+    .map(
+      (b) =>
+        `- id: "${b.id}" | name: "${b.name}" | vibes: ${b.vibes || 'none'} | dance_floor: ${b.dance} ${b.danceNotes ? '| ' + b.danceNotes : ''} | beer: ${b.price} | hours: ${b.hours || 'unknown'}${b.happyHours ? ` | happy hour: ${b.happyHours}` : ''}${b.drinks ? ` | drinks: ${b.drinks}` : ''}`
+    )
+    .join('\n');
+
+  const systemPrompt = `You are a helpful assistant for a Stockholm bar map. You ONLY recommend bars from the list below. Match the user's request to bar ids by vibe, type (gay bar, dance, date, chill, party, girls night), price (beer, or the drink asked for: cider, wine, IPA…), or name. Return a JSON object with exactly two keys: "barIds" (array of bar ids from the list that match, best match first) and "reply" (one short friendly sentence in English, e.g. "Here are 3 places that match."). If nothing matches well, return a few closest matches anyway. Use only the "id" values from the list.
+
+The conversation may contain earlier requests and the barIds you returned for them. If the new request is a follow-up ("cheaper than that", "only ones with a dance floor", "any more?"), refine the most recent results: keep only the earlier bars that still fit to narrow them down, or add bars to widen them when the user asks for more. Only start over with a fresh set when the user clearly asks for something different.
+${constraints ? `\nThe list below is already filtered to bars that are ${constraints}. Never suggest bars outside it.\n` : ''}
+Bar list:
+${barListText}`;
+
+  const messages = [{ role: 'system', content: systemPrompt }];
+  for (const turn of history) {
+    messages.push({ role: 'user', content: turn.message });
+    messages.push({ role: 'assistant', content: JSON.stringify({ barIds: turn.barIds }) });
+  }
+  const previousIds = previousResultIds(history);
+  const userPrompt = previousIds
+    ? `Most recent results: ${JSON.stringify(previousIds)}\n\nUser request: ${userMessage}\n\nRespond with JSON only: {"barIds": ["id1", "id2"], "reply": "Your short message"}`
+    : `User request: ${userMessage}\n\nRespond with JSON only: {"barIds": ["id1", "id2"], "reply": "Your short message"}`;
+  messages.push({ role: 'user', content: userPrompt });
+
+  const options = { messages, temperature: 0.3, maxTokens: 500, label: 'bar-chat' };
+  if (!stream || !llm.stream) {
+    const { content } = await llm.complete(options);
+    return parseModelReply(content);
+  }
+  const parser = createReplyStreamParser(stream);
+  const { content } = await llm.stream(options, (delta) => parser.push(delta));
+  return parseModelReply(content);
+}
+
+// "Cheap bars near Mariatorget!" and "cheap  bars near mariatorget" share a cache entry
+function normalizeForCache(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?]+$/, '').trim();
+}
+
+function cacheKey(message, turns, barsHash, llm, day) {
+  const payload = JSON.stringify({
+    message: normalizeForCache(message),
+    history: turns.map((t) => [normalizeForCache(t.message), t.barIds]),
+    model: llm ? `${llm.name}/${llm.model}` : 'local',
+    day,
+  });
+  return `bar-chat:${barsHash}:${sha1(payload)}`;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+/**
+ * Constraints for this turn. A follow-up ("only ones with a dance floor") keeps the
+ * limits from earlier turns; "cheaper" caps the price below the earlier results' median.
+ */
+function buildQuery(message, turns, previousBars) {
+  let query = parseQuery(message);
+  if (!previousBars || !isFollowUp(message)) return query;
+  const base = turns.map((t) => parseQuery(t.message)).reduce(mergeQueries);
+  query = mergeQueries(base, query);
+  const prices = previousBars.map(barPrice).filter((p) => p != null);
+  if (query.cheaper && prices.length) query.maxPrice = median(prices) - 1;
+  return query;
+}
+
+/**
+ * Answers one chat turn. history is the raw "history" field from the request body;
+ * llm is a provider from lib/llm-provider.js (providerFromEnv()); null answers locally.
+ * cache is an optional store from lib/store.js; onEvent(event) receives the "bars"
+ * and "delta" stream events.
+ * Returns { barIds, reply, mode, results } (plus cached: true on a cache hit).
+ */
+async function answerBarChat({ llm, message, history, cache, onEvent }) {
+  const turns = normalizeHistory(history);
+  const text = message.slice(0, MAX_MESSAGE_LENGTH);
+  const { bars, hash } = readBars();
+  const emitWhole = (answer) => {
+    if (!onEvent) return;
+    onEvent({ type: 'bars', barIds: answer.barIds, mode: answer.mode, results: answer.results });
+    onEvent({ type: 'delta', text: answer.reply });
+  };
+  const previousIds = previousResultIds(turns);
+  const previousSet = new Set(previousIds || []);
+  const previousBars = previousIds ? bars.filter((b) => previousSet.has(barId(b))) : null;
+  const followUp = !!previousBars && isFollowUp(text);
+  const query = buildQuery(text, turns, previousBars);
+
+  const key = cache && !query.openNow ? cacheKey(text, turns, hash, llm, stockholmNow().day) : null;
+  if (key) {
+    const hit = await cache.get(key);
+    if (hit) {
+      emitWhole(hit);
+      return { ...hit, cached: true };
+    }
+  }
+  const ranked = rankBars(bars, query);
+
+  const localAnswer = () => {
+    // Narrowing follow-ups answer from the earlier results; everything else from all bars.
+    // "Cheaper" is not narrowing: the earlier bars are above its price cap by definition.
+    const narrowing = followUp && !wantsMore(text) && !query.cheaper;
+    const local = narrowing ? ranked.filter((r) => previousSet.has(barId(r.bar))) : ranked;
+    return answerLocally(local, query);
+  };
+
+  const finish = (result) => ({
+    ...result,
+    mode: compareResultSets(previousIds, result.barIds),
+    results: buildResults(result.barIds, bars, query),
+  });
+
+  let answer;
+  let streamed = false;
+  if (!llm || !ranked.length) {
+    answer = finish(localAnswer());
+  } else {
+    // Earlier results that still pass the limits go first so the model can refine them
+    const pool = followUp
+      ? [...ranked.filter((r) => previousSet.has(barId(r.bar))), ...shortlist(ranked.filter((r) => !previousSet.has(barId(r.bar))), query)]
+      : shortlist(ranked, query);
+    const summary = buildBarSummary(pool.map((r) => r.bar));
+    // Streamed only when the provider can; otherwise the whole answer is emitted at the end
+    const stream = onEvent && llm.stream && {
+      onBarIds(rawIds) {
+        const { barIds } = resolveBarIds(rawIds, bars, query);
+        onEvent({ type: 'bars', ...finish({ barIds }) });
+      },
+      onReplyText(delta) {
+        onEvent({ type: 'delta', text: delta });
+      },
+    };
+    try {
+      const reply = await askModel(llm, summary, text, turns, describeQuery(query), stream);
+      const { barIds, dropped, mapped } = resolveBarIds(reply.barIds, bars, query);
+      if (dropped.length || Object.keys(mapped).length) console.warn('bar-chat: fixed model ids', { dropped, mapped });
+      answer = finish({ barIds, reply: reply.reply });
+      streamed = !!stream;
+    } catch (err) {
+      // The model failing (broken reply, timeout, HTTP or network error) is answered locally; bugs still throw
+      if (!LLM_FAILURES.includes(err.code)) throw err;
+      console.warn(`bar-chat: ${err.code}, answering locally:`, err.message);
+      answer = finish(localAnswer());
+    }
+  }
+  if (!streamed) emitWhole(answer);
+  if (key) await cache.set(key, answer, CACHE_TTL_MS);
+  return answer;
+}
+
+/**
+ * Streaming variant for the HTTP handlers: write(event) is called for every NDJSON
+ * event and ends with "done" or "error" (errors never throw out of here).
+ */
+async function streamBarChat(options, write) {
+  try {
+    const answer = await answerBarChat({ ...options, onEvent: write });
+    write({ type: 'done', ...answer });
+  } catch (err) {
+    console.error('bar-chat error:', err);
+    write({ type: 'error', error: err.message || 'Server error', barIds: [], reply: 'Something went wrong. Try again.' });
+  }
+}
+
+module.exports = {
+  loadBars,
+  buildBarSummary,
+  normalizeHistory,
+  compareResultSets,
+  askModel,
+  answerBarChat,
+  streamBarChat,
+};
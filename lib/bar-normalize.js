@@ -0,0 +1,194 @@
+/**
+ * One bar shape for everything that reads bars.json or the Supabase table: index.html
+ * (window.BarNormalize), sw.js via lib/watchlist.js, lib/bar-chat.js and the scripts.
+ * Needs lib/opening-hours.js, lib/price-history.js, lib/happy-hours.js and lib/menu.js
+ * loaded first.
+ *
+ * FIELDS lists, per field, the keys a row may use for it (BARS-FILE.md); the first is the
+ * one the scripts write. Keys also match ignoring case, spaces and underscores, so
+ * "openingHours", "Opening Hours" and "opening_hours" are one key – that is what lets the
+ * Supabase columns ("Price", "Lat", ...) through. The first non-empty value wins.
+ *
+ * normalizeBar(row) gives the shape the app works with:
+ *   { id, name, address, district, lat, lng, price_found, cheapest_beer_sek,
+ *     cheapest_beer_name, opening_hours, opening_week, happy_hours, menu, website, dance_floor,
+ *     dance_notes, last_updated, price_reports, price_history, vibes, moods, place_id,
+ *     photo_reference, rating, review_count }
+ * Numbers are numbers or null (a comma decimal is read), lists are arrays, dance_floor is
+ * 'yes' / 'no' / the text given / 'unknown', and opening_hours, happy_hours, menu and
+ * price_history are parsed by their own lib modules.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./opening-hours'), require('./price-history'), require('./happy-hours'), require('./menu'));
+  } else {
+    root.BarNormalize = factory(root.OpeningHours, root.PriceHistory, root.HappyHours, root.Menu);
+  }
+})(typeof self !== 'undefined' ? self : this, function (OpeningHours, PriceHistory, HappyHours, Menu) {
+  const FIELDS = {
+    id: ['id', 'slug'],
+    name: ['bar_name', 'name'],
+    address: ['location', 'address', 'full_address', 'street_address'],
+    district: ['district', 'neighbourhood'],
+    lat: ['lat', 'latitude'],
+    lng: ['lng', 'longitude'],
+    cheapest_beer_sek: ['price', 'cheapest_beer_sek'],
+    cheapest_beer_name: ['cheapest_beer_name', 'beer_name'],
+    opening_hours: ['opening_hours', 'openingHours', 'hours'],
+    happy_hours: ['happy_hours', 'happyHours'],
+    menu: ['menu', 'drinks'],
+    website: ['website', 'url'],
+    dance_floor: ['dance_floor', 'danceFloor'],
+    dance_notes: ['dance_notes', 'danceNotes'],
+    last_updated: ['last_updated', 'updated_at', 'created_at'],
+    price_reports: ['price_reports'],
+    price_history: ['price_history'],
+    vibes: ['vibes', 'vibe', 'mood'],
+    moods: ['moods'],
+    place_id: ['place_id', 'placeId'],
+    photo_reference: ['photo_reference', 'photoReference'],
+    rating: ['rating', 'place_rating'],
+    review_count: ['review_count', 'user_ratings_total', 'reviews'],
+  };
+
+  function fold(key) {
+    return String(key).toLowerCase().replace(/[\s_]+/g, '');
+  }
+
+  function isEmpty(value) {
+    return value == null || value === '';
+  }
+
+  /** All keys of a field, given the field name or any of its keys (unknown: just [key]). */
+  function aliasesOf(key) {
+    if (FIELDS[key]) return FIELDS[key].slice();
+    const folded = fold(key);
+    const name = Object.keys(FIELDS).find((f) => FIELDS[f].some((k) => fold(k) === folded));
+    return name ? FIELDS[name].slice() : [key];
+  }
+
+  /** The keys of row that are one of `aliases`, in alias order (exact spellings before folded ones). */
+  function matchKeys(row, aliases) {
+    if (!row || typeof row !== 'object') return [];
+    const keys = Object.keys(row);
+    const found = [];
+    for (const alias of aliases) {
+      if (Object.prototype.hasOwnProperty.call(row, alias) && !found.includes(alias)) found.push(alias);
+    }
+    for (const alias of aliases) {
+      const folded = fold(alias);
+      for (const k of keys) if (fold(k) === folded && !found.includes(k)) found.push(k);
+    }
+    return found;
+  }
+
+  /** First non-empty value of a field (a FIELDS name, or a list of keys), or null. */
+  function field(row, name) {
+    const aliases = Array.isArray(name) ? name : aliasesOf(name);
+    for (const k of matchKeys(row, aliases)) if (!isEmpty(row[k])) return row[k];
+    return null;
+  }
+
+  /** Number, numeric string or comma decimal -> number, anything else -> null. */
+  function toNumber(value) {
+    if (isEmpty(value)) return null;
+    const n = typeof value === 'number' ? value : Number(String(value).replace(',', '.').trim());
+    return Number.isFinite(n) ? n : null;
+  }
+
+  /** Array or "a, b; c" -> lower-case strings. */
+  function toList(value) {
+    if (isEmpty(value)) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[,;]/);
+    return list.map((x) => String(x).trim().toLowerCase()).filter(Boolean);
+  }
+
+  function slugify(name) {
+    return String(name).toLowerCase().replace(/\s+/g, '-');
+  }
+
+  /** id / slug, else the name as a slug (the id the app, watchlist and scripts agree on). */
+  function barId(row) {
+    const id = field(row, 'id');
+    if (id != null) return String(id);
+    const name = field(row, 'name');
+    return name != null ? slugify(name) : null;
+  }
+
+  function barName(row) {
+    const name = field(row, 'name');
+    return name != null ? String(name) : null;
+  }
+
+  // Hours stored as JSON text (the database, old CSV exports) become the object again
+  function toHours(value) {
+    if (typeof value !== 'string') return value;
+    const text = value.trim();
+    if (!text.startsWith('{') && !text.startsWith('[')) return value;
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      return value;
+    }
+  }
+
+  function toDanceFloor(value) {
+    if (value === true || String(value).toLowerCase() === 'yes') return 'yes';
+    if (value === false || String(value).toLowerCase() === 'no') return 'no';
+    return isEmpty(value) ? 'unknown' : String(value);
+  }
+
+  function text(row, name) {
+    const value = field(row, name);
+    return value != null ? String(value).trim() || null : null;
+  }
+
+  /** A bars.json / database row -> the app's bar shape (see the top of this file). */
+  function normalizeBar(row) {
+    const name = barName(row) || 'Unknown';
+    const price = toNumber(field(row, 'cheapest_beer_sek'));
+    const beerName = text(row, 'cheapest_beer_name');
+    const hours = toHours(field(row, 'opening_hours'));
+    return {
+      id: barId(row) || slugify(name),
+      name,
+      address: text(row, 'address'),
+      district: text(row, 'district'),
+      lat: toNumber(field(row, 'lat')),
+      lng: toNumber(field(row, 'lng')),
+      price_found: price != null,
+      cheapest_beer_sek: price,
+      cheapest_beer_name: beerName,
+      opening_hours: hours,
+      opening_week: OpeningHours.parse(hours),
+      happy_hours: HappyHours.parse(field(row, 'happy_hours')),
+      menu: Menu.menuOf(field(row, 'menu'), price, beerName),
+      website: text(row, 'website'),
+      dance_floor: toDanceFloor(field(row, 'dance_floor')),
+      dance_notes: text(row, 'dance_notes'),
+      last_updated: text(row, 'last_updated'),
+      // Visitor reports behind the current price (set by scripts/moderate-suggestions.js)
+      price_reports: toNumber(field(row, 'price_reports')) || 0,
+      price_history: PriceHistory.normalize(field(row, 'price_history')),
+      vibes: toList(field(row, 'vibes')),
+      moods: toList(field(row, 'moods')),
+      place_id: text(row, 'place_id'),
+      photo_reference: text(row, 'photo_reference'),
+      rating: toNumber(field(row, 'rating')),
+      review_count: toNumber(field(row, 'review_count')),
+    };
+  }
+
+  return {
+    FIELDS,
+    aliasesOf,
+    matchKeys,
+    field,
+    toNumber,
+    toList,
+    slugify,
+    barId,
+    barName,
+    normalizeBar,
+  };
+});
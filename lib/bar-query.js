@@ -0,0 +1,328 @@
+/**
+ * Deterministic pre-filter and ranking in front of the LLM bar matcher.
+ *
+ * parseQuery() pulls hard limits out of a chat message (price cap, "open after 2",
+ * dance floor, moods, neighbourhood). rankBars() filters bars.json by those limits and
+ * scores the rest, so only a shortlist goes into the LLM prompt – and when no LLM
+ * provider is configured, answerLocally() turns the ranking into a reply on its own.
+ * Bars are in the shape of lib/bar-normalize.js (lib/bar-chat.js normalizes bars.json).
+ */
+
+const {
+  stockholmNow,
+  isOpenAt,
+  isOpenLateOn,
+  formatClock,
+} = require('./opening-hours');
+
+const DAY_WORDS = {
+  monday: 0, mon: 0, måndag: 0,
+  tuesday: 1, tue: 1, tisdag: 1,
+  wednesday: 2, wed: 2, onsdag: 2,
+  thursday: 3, thu: 3, torsdag: 3,
+  friday: 4, fri: 4, fredag: 4,
+  saturday: 5, sat: 5, lördag: 5,
+  sunday: 6, sun: 6, söndag: 6,
+};
+
+// Centre + radius for the areas people ask about; aliases are matched in the message
+const NEIGHBOURHOODS = {
+  hornstull: { label: 'Hornstull', lat: 59.3157, lng: 18.0335, radiusM: 600, aliases: ['hornstull', 'långholmen'] },
+  zinkensdamm: { label: 'Zinkensdamm', lat: 59.3178, lng: 18.0503, radiusM: 500, aliases: ['zinkensdamm', 'zinken'] },
+  mariatorget: { label: 'Mariatorget', lat: 59.3173, lng: 18.0634, radiusM: 500, aliases: ['mariatorget', 'maria'] },
+  slussen: { label: 'Slussen', lat: 59.3195, lng: 18.0722, radiusM: 500, aliases: ['slussen'] },
+  medborgarplatsen: { label: 'Medborgarplatsen', lat: 59.3144, lng: 18.0735, radiusM: 500, aliases: ['medborgarplatsen', 'medis'] },
+  nytorget: { label: 'Nytorget', lat: 59.313, lng: 18.0818, radiusM: 600, aliases: ['nytorget', 'sofo'] },
+  skanstull: { label: 'Skanstull', lat: 59.3078, lng: 18.076, radiusM: 600, aliases: ['skanstull', 'ringvägen'] },
+  sodermalm: { label: 'Södermalm', lat: 59.315, lng: 18.068, radiusM: 2500, aliases: ['södermalm', 'sodermalm', 'söder', 'soder'] },
+  gamla_stan: { label: 'Gamla stan', lat: 59.3251, lng: 18.0711, radiusM: 500, aliases: ['gamla stan', 'old town'] },
+  norrmalm: { label: 'Norrmalm', lat: 59.334, lng: 18.063, radiusM: 900, aliases: ['norrmalm', 'city', 'centralen'] },
+  vasastan: { label: 'Vasastan', lat: 59.343, lng: 18.05, radiusM: 1200, aliases: ['vasastan', 'vasa', 'odenplan'] },
+  kungsholmen: { label: 'Kungsholmen', lat: 59.332, lng: 18.03, radiusM: 1500, aliases: ['kungsholmen'] },
+  ostermalm: { label: 'Östermalm', lat: 59.338, lng: 18.085, radiusM: 1200, aliases: ['östermalm', 'ostermalm', 'stureplan'] },
+};
+
+// Checked in order; specific phrases first so "chill date" doesn't also count as a plain "date"
+const MOOD_PATTERNS = [
+  ['third_date', /\b(third date|3rd date|intimate)\b/],
+  ['chill_date', /\b(chill|relaxed|casual|low[- ]key) date\b/],
+  ['first_date', /\b(first date|date night|romantic|dejt\w*|date)\b/],
+  ['party_night', /\b(party|partying|club|night out|dj|festa)\b/],
+  ['chill_hangout', /\b(chill|relax\w*|cozy|cosy|mysig|hang ?out|laid[- ]back)\b/],
+  ['group_friends', /\b(group|friends|gang|birthday|after ?work|colleagues|kompisar)\b/],
+  ['cheap_night_out', /\b(cheap\w*|budget|billig\w*)\b/],
+];
+
+// "any" / "more" only when they point back at the earlier results: "any more", "more like that",
+// not "any bars in vasastan?"
+const FOLLOW_UP_RE = /^(and|but|only|what about|how about|cheaper|closer|later|same|of those|any more|anything else|more like|more of|more please)\b|^more\W*$|\b(than that|like that|those|these|them|ones)\b/;
+const WIDEN_RE = /\b(more|other|others|else|another|also)\b/;
+
+const STOP_WORDS = new Set(['with', 'that', 'this', 'bars', 'place', 'places', 'where', 'some', 'good', 'nice', 'want', 'open', 'than', 'near', 'around', 'tonight', 'today', 'beer', 'beers', 'please', 'find', 'show', 'only', 'ones']);
+
+const SHORTLIST_SIZE = 25;
+const SHORTLIST_SIZE_NO_SIGNAL = 40;
+const LOCAL_RESULT_LIMIT = 8;
+const NAME_MATCH_SCORE = 10;
+
+function normalizeText(s) {
+  return String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function barPrice(bar) {
+  return bar.cheapest_beer_sek;
+}
+
+function barName(bar) {
+  return bar.name;
+}
+
+function barId(bar) {
+  return bar.id;
+}
+
+function hasDanceFloor(bar) {
+  return bar.dance_floor === 'yes' || /danc/i.test(bar.dance_notes || '');
+}
+
+// "2" -> 26:00 (after midnight counts as the same night), "23" -> 23:00
+function hourToNightMinutes(hour, minutes, meridiem) {
+  let h = hour;
+  if (meridiem === 'pm' && h < 12) h += 12;
+  if (meridiem === 'am' && h === 12) h = 0;
+  if (h === 24) h = 0;
+  const total = h * 60 + (minutes || 0);
+  return h < 6 ? total + 1440 : total;
+}
+
+function parseTimeAfter(text, re) {
+  const m = text.match(re);
+  if (!m) return null;
+  const hour = Number(m[1]);
+  if (hour > 24) return null;
+  return hourToNightMinutes(hour, m[2] ? Number(m[2]) : 0, m[3] || null);
+}
+
+/**
+ * Extracts constraints from a message. Every field is null/empty when not mentioned.
+ * openAfter is minutes from midnight of the chosen day (01:00 the same night = 1500).
+ */
+function parseQuery(message) {
+  const text = normalizeText(message);
+  const query = {
+    maxPrice: null,
+    cheaper: false,
+    openAfter: null,
+    openNow: false,
+    day: null,
+    danceFloor: null,
+    moods: [],
+    neighbourhood: null,
+    terms: [],
+  };
+
+  // A number without "kr" is a price unless a distance, time or head count follows it ("under 100 meters")
+  const price =
+    text.match(/(?:under|below|less than|cheaper than|max(?:imum)?|at most|up to|no more than|<=?|≤)\s*(\d{2,3})(?![\d.,]|\s*(?:m|km|meters?|metres?|mins?|minutes?|h|hrs?|hours?|people|persons?|friends|guests)\b)\s*(?:kr|sek|:-|kronor)?/) ||
+    text.match(/(\d{2,3})\s*(?:kr|sek|:-|kronor)\s*(?:or less|or under|or cheaper|max)/);
+  if (price) query.maxPrice = Number(price[1]);
+  if (/\bcheaper\b/.test(text) && query.maxPrice == null) query.cheaper = true;
+
+  query.openAfter =
+    parseTimeAfter(text, /\b(?:open|opened)\s+(?:after|past|until|till|til|to|at)\s+(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/) ||
+    parseTimeAfter(text, /\b(?:closes?|closing)\s+(?:after|past|at|at or after)\s+(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/);
+  if (query.openAfter == null) {
+    if (/\b(after midnight|past midnight)\b/.test(text)) query.openAfter = 1440;
+    else if (/\b(open late|late[- ]night|late bar|latest)\b/.test(text)) query.openAfter = 1560;
+  }
+  if (/\b(open now|right now|still open|open at the moment)\b/.test(text)) query.openNow = true;
+
+  for (const [word, idx] of Object.entries(DAY_WORDS)) {
+    if (new RegExp(`\\b${word}\\b`).test(text)) { query.day = idx; break; }
+  }
+  if (query.day == null && /\b(tonight|today|ikväll)\b/.test(text)) query.day = stockholmNow().day;
+
+  if (/\b(no|without|not?)\s+(a\s+)?(danc\w*|dance ?floor)/.test(text)) query.danceFloor = false;
+  else if (/\b(danc\w*|dance ?floor|dansgolv|dansa)\b/.test(text)) query.danceFloor = true;
+
+  let moodText = text;
+  for (const [mood, re] of MOOD_PATTERNS) {
+    if (re.test(moodText)) {
+      query.moods.push(mood);
+      moodText = moodText.replace(re, ' ');
+    }
+  }
+
+  for (const [key, n] of Object.entries(NEIGHBOURHOODS)) {
+    if (n.aliases.some((a) => new RegExp(`(^|[^\\p{L}])${a}($|[^\\p{L}])`, 'u').test(text))) {
+      query.neighbourhood = key;
+      if (key !== 'sodermalm') break;
+    }
+  }
+
+  query.terms = text
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter((w) => w.length >= 4 && !STOP_WORDS.has(w) && !/^\d+$/.test(w));
+  return query;
+}
+
+function hasHardConstraints(query) {
+  return query.maxPrice != null || query.openAfter != null || query.openNow || query.danceFloor != null || query.neighbourhood != null;
+}
+
+function hasAnySignal(query) {
+  return hasHardConstraints(query) || query.cheaper || query.moods.length > 0 || query.terms.length > 0;
+}
+
+/** Combines an earlier turn's constraints with a follow-up's; the newer message wins where both say something. */
+function mergeQueries(base, next) {
+  return {
+    maxPrice: next.maxPrice != null ? next.maxPrice : base.maxPrice,
+    cheaper: next.cheaper,
+    openAfter: next.openAfter != null ? next.openAfter : base.openAfter,
+    openNow: next.openNow || base.openNow,
+    day: next.day != null ? next.day : base.day,
+    danceFloor: next.danceFloor != null ? next.danceFloor : base.danceFloor,
+    moods: [...new Set([...base.moods, ...next.moods])],
+    neighbourhood: next.neighbourhood || base.neighbourhood,
+    terms: next.terms.length ? next.terms : base.terms,
+  };
+}
+
+function isFollowUp(message) {
+  return FOLLOW_UP_RE.test(normalizeText(message));
+}
+
+function wantsMore(message) {
+  return WIDEN_RE.test(normalizeText(message));
+}
+
+// ─── Ranking ───────────────────────────────────────────
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+function inNeighbourhood(bar, key) {
+  const n = NEIGHBOURHOODS[key];
+  if (!n) return true;
+  // District from the bars file (data/districts.geojson) when the area is one
+  if (bar.district && bar.district === n.label) return true;
+  const address = normalizeText(`${barName(bar)} ${bar.address || ''}`);
+  if (n.aliases.some((a) => address.includes(a))) return true;
+  return bar.lat != null && bar.lng != null && distanceMeters(bar.lat, bar.lng, n.lat, n.lng) <= n.radiusM;
+}
+
+function passesHardConstraints(bar, query, now) {
+  const price = barPrice(bar);
+  if (query.maxPrice != null && (price == null || price > query.maxPrice)) return false;
+  if (query.danceFloor === true && !hasDanceFloor(bar)) return false;
+  if (query.danceFloor === false && hasDanceFloor(bar)) return false;
+  if (query.neighbourhood && !inNeighbourhood(bar, query.neighbourhood)) return false;
+  if (query.openNow || query.openAfter != null) {
+    const week = bar.opening_week;
+    if (query.openNow && !isOpenAt(week, now.day, now.minutes)) return false;
+    if (query.openAfter != null && !isOpenLateOn(week, query.day, query.openAfter)) return false;
+  }
+  return true;
+}
+
+// { score, nameMatch }: nameMatch is set when a word of the message is in the bar's name
+function scoreBar(bar, query) {
+  let score = 0;
+  let nameMatch = false;
+  const price = barPrice(bar);
+  const moods = bar.moods;
+  for (const mood of query.moods) {
+    if (moods.includes(mood)) score += 3;
+    if (mood === 'cheap_night_out' && price != null && price <= 50) score += 2;
+    if (mood === 'party_night' && hasDanceFloor(bar)) score += 2;
+  }
+  if ((query.cheaper || query.moods.includes('cheap_night_out')) && price != null) {
+    score += Math.max(0, (90 - price) / 15);
+  }
+  const haystack = normalizeText([
+    barName(bar),
+    bar.vibes.join(' '),
+    bar.dance_notes,
+    moods.join(' ').replace(/_/g, ' '),
+  ].join(' '));
+  // From the start of a word, so "date" does not find "Soldaten"
+  const nameWords = normalizeText(barName(bar)).split(/[^\p{L}\p{N}']+/u);
+  for (const term of query.terms) {
+    if (nameWords.some((w) => w.startsWith(term))) {
+      score += NAME_MATCH_SCORE;
+      nameMatch = true;
+    } else if (haystack.includes(term)) score += 2;
+  }
+  if (bar.rating != null) score += (bar.rating - 3.5) * 1.5;
+  return { score, nameMatch };
+}
+
+/**
+ * Filters bars by the hard constraints and sorts the rest by score (ties: cheaper first).
+ * Returns [{ bar, score, nameMatch }].
+ */
+function rankBars(bars, query, now) {
+  const at = now || stockholmNow();
+  return bars
+    .filter((bar) => passesHardConstraints(bar, query, at))
+    .map((bar) => ({ bar, ...scoreBar(bar, query) }))
+    .sort((a, b) => b.score - a.score || (barPrice(a.bar) ?? 999) - (barPrice(b.bar) ?? 999));
+}
+
+function shortlist(ranked, query) {
+  return ranked.slice(0, hasAnySignal(query) ? SHORTLIST_SIZE : SHORTLIST_SIZE_NO_SIGNAL);
+}
+
+function describeQuery(query) {
+  const parts = [];
+  if (query.maxPrice != null) parts.push(`at most ${query.maxPrice} kr`);
+  if (query.danceFloor === true) parts.push('with a dance floor');
+  if (query.danceFloor === false) parts.push('without a dance floor');
+  if (query.openNow) parts.push('open now');
+  if (query.openAfter != null) parts.push(`open after ${formatClock(query.openAfter)}`);
+  if (query.day != null) parts.push(`on ${['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'][query.day]}`);
+  if (query.neighbourhood) parts.push(`around ${NEIGHBOURHOODS[query.neighbourhood].label}`);
+  return parts.join(', ');
+}
+
+/** Reply built from the ranking alone (no LLM). Returns { barIds, reply }. */
+function answerLocally(ranked, query) {
+  // Asking for a bar by name: return just the name matches, not the best of the rest
+  const named = ranked.some((r) => r.nameMatch) ? ranked.filter((r) => r.nameMatch) : ranked;
+  const top = named.slice(0, LOCAL_RESULT_LIMIT).map((r) => barId(r.bar));
+  const what = describeQuery(query);
+  if (!top.length) {
+    return {
+      barIds: [],
+      reply: what ? `No bars are ${what}. Try loosening one of those.` : 'No bars matched that. Try another description.',
+    };
+  }
+  const count = top.length === 1 ? '1 bar' : `${top.length} bars`;
+  if (what) return { barIds: top, reply: `Found ${count} ${what}.` };
+  return { barIds: top, reply: top.length === 1 ? 'Here is 1 bar that might fit.' : `Here are ${count} that might fit.` };
+}
+
+module.exports = {
+  NEIGHBOURHOODS,
+  barId,
+  barPrice,
+  parseQuery,
+  mergeQueries,
+  isFollowUp,
+  wantsMore,
+  hasHardConstraints,
+  hasDanceFloor,
+  passesHardConstraints,
+  rankBars,
+  shortlist,
+  describeQuery,
+  answerLocally,
+  distanceMeters,
+};
@@ -0,0 +1,142 @@
+/**
+ * Instant bar search for the typeahead in index.html (window.BarSearch); no network, so it
+ * works offline. Also usable from node.
+ *
+ * Matches bar name, address, cheapest beer, vibes and moods. Text is folded first
+ * (lower case, accents and å/ä/ö dropped, punctuation as spaces), so "algen" finds
+ * "Älgen Bar". Every word typed must match some field: a whole word, the start of one,
+ * anywhere in the text, or – for words of four letters or more – with one typo (two from
+ * eight letters). A match in the name counts most, then the address, then the rest.
+ *
+ * buildIndex(bars) takes bars in the app's shape (lib/bar-normalize.js);
+ * search(index, query, limit) gives [{ bar, score, field }] best first, field being the
+ * FIELDS key the first word matched best in.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BarSearch = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Field -> weight
+  const FIELDS = {
+    name: 3,
+    address: 2,
+    cheapest_beer_name: 1.5,
+    vibes: 1,
+    moods: 1,
+  };
+  const DEFAULT_LIMIT = 8;
+
+  /** "Älgen Bar!" -> "algen bar" */
+  function fold(text) {
+    return String(text == null ? '' : text)
+      .toLowerCase()
+      .replace(/æ/g, 'ae')
+      .replace(/ø/g, 'o')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // Edits (insert, delete, substitute, swap two neighbours) from a to b; stops counting past max
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], prev2[j - 2] + 1);
+        best = Math.min(best, row[j]);
+      }
+      if (best > max) return max + 1;
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  function maxTypos(word) {
+    return word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  }
+
+  // 0–1 for how well one typed word matches a folded field
+  function matchScore(token, field) {
+    let best = 0;
+    for (const word of field.words) {
+      if (word === token) return 1;
+      if (word.startsWith(token)) best = Math.max(best, 0.8);
+    }
+    if (best) return best;
+    if (field.text.includes(token)) return 0.6;
+    const max = maxTypos(token);
+    if (!max) return 0;
+    for (const word of field.words) {
+      // Against the whole word and against its start, so a typo while still typing counts
+      const d = Math.min(editDistance(token, word, max), editDistance(token, word.slice(0, token.length), max));
+      if (d <= max) best = Math.max(best, 0.5 - 0.1 * d);
+    }
+    return best;
+  }
+
+  function fieldText(bar, key) {
+    const value = bar[key];
+    return Array.isArray(value) ? value.join(' ') : value;
+  }
+
+  /** Bars -> the folded text search() looks through. Rebuild when the bars change. */
+  function buildIndex(bars) {
+    return (bars || []).map((bar) => ({
+      bar,
+      fields: Object.keys(FIELDS)
+        .map((key) => {
+          const text = fold(fieldText(bar, key));
+          return { key, text, words: text ? text.split(' ') : [] };
+        })
+        .filter((f) => f.text),
+    }));
+  }
+
+  /** Best matches for what was typed, at most `limit` (default 8); [] for an empty query. */
+  function search(index, query, limit) {
+    const tokens = fold(query).split(' ').filter(Boolean);
+    if (!tokens.length) return [];
+    const results = [];
+    for (const entry of index) {
+      let score = 0;
+      let field = null;
+      for (const token of tokens) {
+        let best = 0;
+        let bestKey = null;
+        for (const f of entry.fields) {
+          const s = matchScore(token, f) * FIELDS[f.key];
+          if (s > best) {
+            best = s;
+            bestKey = f.key;
+          }
+        }
+        if (!best) {
+          score = 0;
+          break;
+        }
+        score += best;
+        if (!field) field = bestKey;
+      }
+      if (score) results.push({ bar: entry.bar, score, field });
+    }
+    return results
+      .sort((a, b) => b.score - a.score || String(a.bar.name).localeCompare(String(b.bar.name), 'sv'))
+      .slice(0, limit || DEFAULT_LIMIT);
+  }
+
+  return {
+    FIELDS,
+    fold,
+    editDistance,
+    buildIndex,
+    search,
+  };
+});
@@ -0,0 +1,275 @@
+/**
+ * bars.json <-> bars-info.csv without losing anything, shared by scripts/generate-bars-info.js
+ * (export), scripts/geocode-bars-from-csv.js (import) and scripts/update-bars-from-google-places.js.
+ *
+ * CSV is read and written per RFC 4180: quoted cells may hold commas, quotes ("") and line
+ * breaks. COLUMNS lists every field a bar can have, in the order the sheet shows them;
+ * lists and nested data get a cell format of their own (see each column). Fields bars.json
+ * has but the CSV does not are kept, because an import merges the rows into the existing
+ * bars by id (mergeBar) instead of rebuilding them.
+ */
+
+const HappyHours = require('./happy-hours');
+const Menu = require('./menu');
+const BarNormalize = require('./bar-normalize');
+
+const text = {
+  encode: (v) => (v == null ? '' : String(v)),
+  decode: (v) => (v == null || String(v).trim() === '' ? null : String(v).trim()),
+};
+const number = {
+  encode: (v) => (v == null ? '' : String(v)),
+  decode: (v) => {
+    if (v == null || String(v).trim() === '') return null;
+    const n = Number(String(v).trim().replace(',', '.'));
+    return Number.isFinite(n) ? n : null;
+  },
+};
+// "chill, party" <-> ["chill", "party"]
+const list = {
+  encode: (v) => (Array.isArray(v) ? v.join(', ') : v == null ? '' : String(v)),
+  decode: (v) => (Array.isArray(v) ? v : v == null ? [] : String(v).split(/[,;]/).map((x) => x.trim()).filter(Boolean)),
+};
+// Objects and arrays as JSON text in the cell
+const json = {
+  encode: (v) => (v == null ? '' : JSON.stringify(v)),
+  decode: (v) => {
+    if (v == null || typeof v !== 'string') return v == null ? null : v;
+    const t = v.trim();
+    if (!t) return null;
+    try {
+      return JSON.parse(t);
+    } catch (_) {
+      return null;
+    }
+  },
+};
+// Plain text, or JSON when bars.json has an object keyed by day
+const hours = {
+  encode: (v) => (v == null ? '' : typeof v === 'string' ? v : JSON.stringify(v)),
+  decode: (v) => {
+    if (v == null || typeof v !== 'string') return v == null ? null : v;
+    const t = v.trim();
+    if (!t) return null;
+    if (t.startsWith('{') || t.startsWith('[')) {
+      try {
+        return JSON.parse(t);
+      } catch (_) {}
+    }
+    return t;
+  },
+};
+const happyHours = {
+  encode: (v) => HappyHours.toCell(HappyHours.parse(v)),
+  decode: (v) => HappyHours.toJSON(HappyHours.parse(v)),
+};
+const menu = {
+  encode: (v) => Menu.toCell(Menu.parse(v)),
+  decode: (v) => Menu.toJSON(Menu.parse(v)),
+};
+const danceFloor = {
+  encode: text.encode,
+  decode: (v) => (v === true ? 'yes' : v === false ? 'no' : (text.decode(v) || 'unknown').toLowerCase()),
+};
+
+/**
+ * key: field in bars.json; header: column name (default key); optional: left out of
+ * bars.json when empty, like the scripts always did. A column is also read under the other
+ * names of its field in lib/bar-normalize.js (e.g. "name" for bar_name).
+ * The first eleven are the original bars-info.csv columns.
+ */
+const COLUMNS = [
+  { key: 'id', codec: text },
+  { key: 'bar_name', codec: text },
+  { key: 'location', header: 'address', codec: text },
+  { key: 'correct_address', codec: text, optional: true },
+  { key: 'district', codec: text, optional: true },
+  { key: 'lat', codec: number },
+  { key: 'lng', codec: number },
+  { key: 'price', codec: number },
+  { key: 'opening_hours', codec: hours },
+  { key: 'dance_floor', codec: danceFloor },
+  { key: 'dance_notes', codec: text },
+  { key: 'last_updated', codec: text },
+  { key: 'happy_hours', codec: happyHours, optional: true },
+  { key: 'menu', codec: menu, optional: true },
+  { key: 'cheapest_beer_name', codec: text, optional: true },
+  { key: 'website', codec: text, optional: true },
+  { key: 'place_id', codec: text, optional: true },
+  { key: 'photo_reference', codec: text, optional: true },
+  { key: 'rating', codec: number, optional: true },
+  { key: 'review_count', codec: number, optional: true },
+  { key: 'vibes', codec: list, optional: true },
+  { key: 'moods', codec: list, optional: true },
+  { key: 'price_reports', codec: number, optional: true },
+  { key: 'price_history', codec: json, optional: true },
+];
+
+function headerOf(column) {
+  return column.header || column.key;
+}
+
+function namesOf(column) {
+  return [headerOf(column)].concat(BarNormalize.aliasesOf(column.key)).filter((k, i, all) => all.indexOf(k) === i);
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/** RFC 4180 text -> { header, rows } with rows as objects keyed by header. A BOM is dropped. */
+function parseCSV(input) {
+  const src = input.charCodeAt(0) === 0xfeff ? input.slice(1) : input;
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  const nonEmpty = records.filter((r) => r.length > 1 || r[0] !== '');
+  const header = (nonEmpty.shift() || []).map((h) => h.trim());
+  const rows = nonEmpty.map((values) => {
+    const row = {};
+    header.forEach((h, j) => {
+      row[h] = values[j] ?? '';
+    });
+    return row;
+  });
+  return { header, rows };
+}
+
+function escapeCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Bars -> CSV text with every column (no BOM; the export adds one for Excel). */
+function toCSV(bars) {
+  const lines = [COLUMNS.map(headerOf).join(',')];
+  for (const bar of bars) lines.push(COLUMNS.map((c) => escapeCell(c.codec.encode(bar[c.key]))).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * The fields one CSV row (or JSON input object) sets, decoded to bars.json form.
+ * Only columns the row has are returned, so a sheet without e.g. "menu" leaves menus alone.
+ */
+function rowToFields(row) {
+  const fields = {};
+  for (const column of COLUMNS) {
+    const present = BarNormalize.matchKeys(row, namesOf(column));
+    if (!present.length) continue;
+    const raw = present.map((k) => row[k]).find((v) => !isEmpty(v));
+    fields[column.key] = column.codec.decode(raw === undefined ? null : raw);
+  }
+  return fields;
+}
+
+/** Columns in a CSV header that no field reads (ignored on import). */
+function unknownColumns(header) {
+  const names = COLUMNS.flatMap(namesOf);
+  return header.filter((h) => h && !BarNormalize.matchKeys({ [h]: '' }, names).length);
+}
+
+function sameValue(a, b) {
+  if (isEmpty(a) && isEmpty(b)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * `fields` applied on top of the existing bar (or a new one): every other field stays, an
+ * emptied optional field is removed, and an unchanged value keeps the bar's own form
+ * (null stays null, [] stays []).
+ */
+function mergeBar(existing, fields) {
+  const bar = existing ? { ...existing } : {};
+  for (const column of COLUMNS) {
+    if (!(column.key in fields)) {
+      if (!existing && !column.optional) bar[column.key] = column.codec.decode(null);
+      continue;
+    }
+    const value = fields[column.key];
+    if (existing && sameValue(existing[column.key], value)) continue;
+    if (column.optional && isEmpty(value)) delete bar[column.key];
+    else bar[column.key] = value;
+  }
+  return bar;
+}
+
+function formatValue(value) {
+  if (value === undefined) return '(none)';
+  const s = JSON.stringify(value);
+  return s.length > 70 ? s.slice(0, 67) + '…' : s;
+}
+
+/**
+ * What changed between two lists of bars, by id: [{ type: 'added' | 'removed' | 'changed',
+ * id, name, fields: [{ key, from, to }] }] in the order of `after` (removed ones last).
+ */
+function diffBars(before, after) {
+  const old = new Map(before.map((b) => [b.id, b]));
+  const ids = new Set(after.map((b) => b.id));
+  const changes = [];
+  for (const bar of after) {
+    const prev = old.get(bar.id);
+    if (!prev) {
+      changes.push({ type: 'added', id: bar.id, name: bar.bar_name, fields: [] });
+      continue;
+    }
+    const keys = [...new Set(Object.keys(prev).concat(Object.keys(bar)))];
+    const fields = keys.filter((k) => !sameValue(prev[k], bar[k])).map((k) => ({ key: k, from: prev[k], to: bar[k] }));
+    if (fields.length) changes.push({ type: 'changed', id: bar.id, name: bar.bar_name, fields });
+  }
+  for (const bar of before) if (!ids.has(bar.id)) changes.push({ type: 'removed', id: bar.id, name: bar.bar_name, fields: [] });
+  return changes;
+}
+
+/** diffBars() as lines for the terminal: "+ id", "- id", "~ id" with "    key: from → to". */
+function formatDiff(changes) {
+  const lines = [];
+  for (const c of changes) {
+    const mark = c.type === 'added' ? '+' : c.type === 'removed' ? '-' : '~';
+    lines.push(`${mark} ${c.id}${c.name ? ` (${c.name})` : ''}`);
+    for (const f of c.fields) lines.push(`    ${f.key}: ${formatValue(f.from)} → ${formatValue(f.to)}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  COLUMNS,
+  parseCSV,
+  toCSV,
+  rowToFields,
+  unknownColumns,
+  mergeBar,
+  diffBars,
+  formatDiff,
+};
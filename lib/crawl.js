@@ -0,0 +1,193 @@
+/**
+ * Bar crawl planning: orders 3–8 stops into a short walking route, times the arrivals
+ * and checks them against opening hours (lib/opening-hours.js). Loaded by index.html
+ * (window.Crawl); also usable from node.
+ *
+ * Stops are plain objects: { id, lat, lng, price, week } where week comes from
+ * OpeningHours.parse() and price is the cheapest beer in kr (or null).
+ * Times are { day, minutes } in Stockholm time, day 0 = Monday.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./opening-hours'));
+  else root.Crawl = factory(root.OpeningHours);
+})(typeof self !== 'undefined' ? self : this, function (OpeningHours) {
+  const MIN_STOPS = 3;
+  const MAX_STOPS = 8;
+  const DEFAULT_STAY_MINUTES = 45;
+  // ~4.8 km/h, with streets ~30 % longer than a straight line
+  const WALK_METERS_PER_MINUTE = 80;
+  const DETOUR_FACTOR = 1.3;
+  // Auto-pick: how many seed bars to try and how far a next stop may be
+  const SEED_COUNT = 12;
+  const MAX_LEG_MINUTES = 20;
+
+  function distanceMeters(a, b) {
+    const R = 6371000;
+    const toRad = (d) => (d * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+  }
+
+  function walkingMinutes(a, b) {
+    return Math.max(1, Math.round((distanceMeters(a, b) * DETOUR_FACTOR) / WALK_METERS_PER_MINUTE));
+  }
+
+  function pathMinutes(stops) {
+    let total = 0;
+    for (let i = 1; i < stops.length; i++) total += walkingMinutes(stops[i - 1], stops[i]);
+    return total;
+  }
+
+  /**
+   * Shortest walking order through all stops (open path, any start). Exact – a
+   * depth-first search that drops partial routes already longer than the best –
+   * which is cheap for up to MAX_STOPS; fixFirst keeps stops[0] as the starting bar.
+   */
+  function orderRoute(stops, { fixFirst = false } = {}) {
+    const n = stops.length;
+    if (n <= 2) return stops.slice();
+    const cost = stops.map((a) => stops.map((b) => (a === b ? 0 : walkingMinutes(a, b))));
+    const used = new Array(n).fill(false);
+    const path = [];
+    let best = null;
+    let bestMinutes = Infinity;
+
+    function visit(minutes) {
+      if (minutes >= bestMinutes) return;
+      if (path.length === n) {
+        best = path.slice();
+        bestMinutes = minutes;
+        return;
+      }
+      const last = path[path.length - 1];
+      for (let i = 0; i < n; i++) {
+        if (used[i]) continue;
+        used[i] = true;
+        path.push(i);
+        visit(minutes + cost[last][i]);
+        path.pop();
+        used[i] = false;
+      }
+    }
+
+    for (let first = 0; first < (fixFirst ? 1 : n); first++) {
+      used[first] = true;
+      path.push(first);
+      visit(0);
+      path.pop();
+      used[first] = false;
+    }
+    return best.map((i) => stops[i]);
+  }
+
+  // { day, minutes } with minutes possibly past midnight -> same moment on the right day
+  function normalizeTime(day, minutes) {
+    return { day: (day + Math.floor(minutes / 1440)) % 7, minutes: ((minutes % 1440) + 1440) % 1440 };
+  }
+
+  /**
+   * Arrival and departure per stop. Each stop gets
+   *   { stop, walkMinutes, arrive, leave, open, closesIn }
+   * where arrive/leave are minutes after the start day's midnight (may exceed 1440),
+   * open is true/false/null (unknown hours) at arrival and closesIn the minutes left then.
+   */
+  function scheduleCrawl(route, start, stayMinutes = DEFAULT_STAY_MINUTES) {
+    let clock = start.minutes;
+    return route.map((stop, i) => {
+      const walk = i === 0 ? 0 : walkingMinutes(route[i - 1], stop);
+      clock += walk;
+      const at = normalizeTime(start.day, clock);
+      const week = stop.week || OpeningHours.parse(null);
+      const entry = {
+        stop,
+        walkMinutes: walk,
+        arrive: clock,
+        leave: clock + stayMinutes,
+        open: OpeningHours.isOpenAt(week, at.day, at.minutes),
+        closesIn: OpeningHours.minutesUntilClose(week, at.day, at.minutes),
+      };
+      clock += stayMinutes;
+      return entry;
+    });
+  }
+
+  /** { beers, cost, unknownPrices, walkMinutes, closedStops } for a schedule. */
+  function summarize(schedule) {
+    const priced = schedule.filter((s) => s.stop.price != null);
+    return {
+      beers: schedule.length,
+      cost: priced.reduce((sum, s) => sum + Number(s.stop.price), 0),
+      unknownPrices: schedule.length - priced.length,
+      walkMinutes: schedule.reduce((sum, s) => sum + s.walkMinutes, 0),
+      closedStops: schedule.filter((s) => s.open === false).length,
+    };
+  }
+
+  /**
+   * Picks `count` stops from candidates for a crawl starting at `start`: every stop
+   * open when you get there, one beer each within `budget` kr (null = no limit), short
+   * legs. Tries the cheapest open bars as starting points and keeps the shortest walk.
+   * Returns the ordered route ([] when nothing fits).
+   */
+  function pickCrawl(candidates, { count, budget = null, start, stayMinutes = DEFAULT_STAY_MINUTES }) {
+    const n = Math.min(MAX_STOPS, Math.max(MIN_STOPS, count || MIN_STOPS));
+    const usable = candidates.filter((c) => c.lat != null && c.lng != null && (budget == null || c.price != null));
+    const openAt = (stop, minutes) => {
+      const at = normalizeTime(start.day, minutes);
+      return OpeningHours.isOpenAt(stop.week || OpeningHours.parse(null), at.day, at.minutes) === true;
+    };
+    const cheapestLeft = (used, k) => usable
+      .filter((c) => !used.includes(c))
+      .map((c) => Number(c.price) || 0)
+      .sort((a, b) => a - b)
+      .slice(0, k)
+      .reduce((a, b) => a + b, 0);
+
+    const seeds = usable
+      .filter((c) => openAt(c, start.minutes) && (budget == null || c.price <= budget))
+      .sort((a, b) => (a.price == null) - (b.price == null) || a.price - b.price)
+      .slice(0, SEED_COUNT);
+
+    let best = null;
+    let bestMinutes = Infinity;
+    for (const seed of seeds) {
+      const route = [seed];
+      let spent = Number(seed.price) || 0;
+      let clock = start.minutes + stayMinutes;
+      while (route.length < n) {
+        const last = route[route.length - 1];
+        const next = usable
+          .filter((c) => !route.includes(c))
+          .map((c) => ({ c, walk: walkingMinutes(last, c) }))
+          .filter(({ c, walk }) => walk <= MAX_LEG_MINUTES && openAt(c, clock + walk))
+          .filter(({ c }) => budget == null || spent + Number(c.price) + cheapestLeft(route.concat(c), n - route.length - 1) <= budget)
+          .sort((a, b) => a.walk - b.walk || (a.c.price || 0) - (b.c.price || 0))[0];
+        if (!next) break;
+        route.push(next.c);
+        spent += Number(next.c.price) || 0;
+        clock += next.walk + stayMinutes;
+      }
+      if (route.length < n) continue;
+      const minutes = pathMinutes(route);
+      if (minutes < bestMinutes) {
+        best = route;
+        bestMinutes = minutes;
+      }
+    }
+    return best || [];
+  }
+
+  return {
+    MIN_STOPS,
+    MAX_STOPS,
+    DEFAULT_STAY_MINUTES,
+    distanceMeters,
+    walkingMinutes,
+    orderRoute,
+    scheduleCrawl,
+    summarize,
+    pickCrawl,
+  };
+});
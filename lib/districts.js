@@ -0,0 +1,87 @@
+/**
+ * Stockholm districts: which one a bar is in (point in polygon against data/districts.geojson)
+ * and price statistics per district for the map's district layer. Loaded by index.html
+ * (window.Districts); scripts/geocode-bars-from-csv.js uses it to store each bar's `district`.
+ *
+ * The GeoJSON is a FeatureCollection of Polygon / MultiPolygon features with
+ * properties { id, name }; coordinates are [lng, lat] as GeoJSON has them. A bar's district
+ * is the name of the first feature that contains it, or null outside all of them.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Districts = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Ray casting; a point exactly on an edge may fall either way
+  function ringContains(ring, lat, lng) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  // First ring is the outline, the rest are holes
+  function polygonContains(rings, lat, lng) {
+    if (!rings.length || !ringContains(rings[0], lat, lng)) return false;
+    return !rings.slice(1).some((hole) => ringContains(hole, lat, lng));
+  }
+
+  function contains(geometry, lat, lng) {
+    if (!geometry) return false;
+    if (geometry.type === 'Polygon') return polygonContains(geometry.coordinates, lat, lng);
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.some((rings) => polygonContains(rings, lat, lng));
+    return false;
+  }
+
+  /** The feature containing lat/lng, or null. */
+  function featureAt(geojson, lat, lng) {
+    if (!geojson || lat == null || lng == null) return null;
+    return (geojson.features || []).find((f) => contains(f.geometry, lat, lng)) || null;
+  }
+
+  /** Name of the district containing lat/lng, or null. */
+  function districtAt(geojson, lat, lng) {
+    const feature = featureAt(geojson, lat, lng);
+    return feature ? feature.properties.name : null;
+  }
+
+  /** District names in file order (for the filter). */
+  function names(geojson) {
+    return ((geojson && geojson.features) || []).map((f) => f.properties.name);
+  }
+
+  function median(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+  }
+
+  /**
+   * Stats for bars in the app's shape (lib/bar-normalize.js): { count, priced, min, median,
+   * openLateShare }. isOpenLate(bar) gives true / false, or null for unknown hours, which are
+   * left out of the share; openLateShare is 0–1, or null when no bar's hours are known.
+   */
+  function stats(bars, isOpenLate) {
+    const prices = bars.map((b) => b.cheapest_beer_sek).filter((p) => p != null);
+    const late = bars.map(isOpenLate).filter((v) => v != null);
+    return {
+      count: bars.length,
+      priced: prices.length,
+      min: prices.length ? Math.min(...prices) : null,
+      median: median(prices),
+      openLateShare: late.length ? late.filter(Boolean).length / late.length : null,
+    };
+  }
+
+  return {
+    contains,
+    featureAt,
+    districtAt,
+    names,
+    median,
+    stats,
+  };
+});
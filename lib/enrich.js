@@ -0,0 +1,191 @@
+/**
+ * Incremental, resumable runs for the enrichment scripts (scripts/update-bars-from-google-places.js
+ * and scripts/categorize-bars-by-mood.js).
+ *
+ * Each script keeps two files in .cache/ (git-ignored), both lib/store.js file stores:
+ *   <name>-responses.json  – API responses by request (no keys in them), reused until --max-age
+ *   <name>-checkpoint.json – per bar id: { fingerprint, at, patch, written }
+ * fingerprint hashes the bar fields the script's lookups depend on and patch holds the fields
+ * the run set. A bar is processed when it has no checkpoint (new), its fingerprint differs
+ * (changed), the checkpoint is older than --max-age (stale) or it is named with --only.
+ * A checkpoint is saved as soon as its bar is done, so a run that crashes or is stopped
+ * resumes where it was: the next run skips the finished bars and applies their patches,
+ * which are marked written once a bars file with them in it has been saved (after that,
+ * hand edits to those fields win).
+ *
+ * Options both scripts take:
+ *   --only <id>         just this bar (repeat, or comma-separate several)
+ *   --dry-run           look everything up, print what would change, write neither the bars
+ *                       file nor the checkpoint (fetched responses are still cached)
+ *   --concurrency <n>   bars in flight at once (default DEFAULT_CONCURRENCY)
+ *   --max-age <days>    redo bars and refetch responses older than this (default DEFAULT_MAX_AGE_DAYS;
+ *                       0 redoes everything)
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createFileStore } = require('./store');
+const BarsCsv = require('./bars-csv');
+
+const CACHE_DIR = path.resolve(__dirname, '../.cache');
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DAY_MS = 86400000;
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+/**
+ * The shared options out of argv: { only, dryRun, concurrency, maxAgeMs, positional }.
+ * only is a Set of ids or null.
+ */
+function parseOptions(argv) {
+  const options = { only: null, dryRun: false, concurrency: DEFAULT_CONCURRENCY, maxAgeMs: DEFAULT_MAX_AGE_DAYS * DAY_MS, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (argv[i + 1] == null || argv[i + 1].startsWith('--')) throw usageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--only') {
+      options.only = options.only || new Set();
+      value().split(',').map((id) => id.trim()).filter(Boolean).forEach((id) => options.only.add(id));
+    } else if (arg === '--concurrency') {
+      const n = Number(value());
+      if (!Number.isInteger(n) || n < 1) throw usageError('--concurrency must be a whole number of at least 1');
+      options.concurrency = n;
+    } else if (arg === '--max-age') {
+      const days = Number(value());
+      if (!Number.isFinite(days) || days < 0) throw usageError('--max-age must be a number of days (0 or more)');
+      options.maxAgeMs = days * DAY_MS;
+    } else if (arg.startsWith('--')) {
+      throw usageError(`Unknown option ${arg}`);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+function fingerprint(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/** Runs fn over items with at most `limit` in flight; results in item order. */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * One script run: cached(key, fetch) for API calls, select() to pick the bars to process,
+ * done() as each finishes, apply() for the bars that are not processed and commit() once
+ * the bars file is written.
+ */
+function createRun(name, { dryRun = false, maxAgeMs = DEFAULT_MAX_AGE_DAYS * DAY_MS, only = null } = {}) {
+  const responses = createFileStore(path.join(CACHE_DIR, `${name}-responses.json`));
+  const checkpoint = createFileStore(path.join(CACHE_DIR, `${name}-checkpoint.json`));
+  const stats = { requests: 0, cached: 0 };
+
+  return {
+    stats,
+
+    /** fetch()'s result for `key`, from the cache while younger than max age. */
+    async cached(key, fetch) {
+      if (maxAgeMs > 0) {
+        const hit = await responses.get(key);
+        if (hit !== undefined) {
+          stats.cached++;
+          return hit;
+        }
+      }
+      stats.requests++;
+      const value = await fetch();
+      if (value !== undefined && maxAgeMs > 0) await responses.set(key, value, maxAgeMs);
+      return value;
+    },
+
+    /**
+     * Splits bars into { due: [{ bar, reason }], upToDate: [bar] } where reason is
+     * 'only' | 'new' | 'changed' | 'stale'. fingerprintOf(bar) gives the inputs that matter.
+     */
+    async select(bars, fingerprintOf) {
+      const due = [];
+      const upToDate = [];
+      const now = Date.now();
+      for (const bar of bars) {
+        if (only) {
+          if (only.has(bar.id)) due.push({ bar, reason: 'only' });
+          else upToDate.push(bar);
+          continue;
+        }
+        const entry = await checkpoint.get(bar.id);
+        const reason = !entry ? 'new'
+          : entry.fingerprint !== fingerprint(fingerprintOf(bar)) ? 'changed'
+          : now - Date.parse(entry.at) >= maxAgeMs ? 'stale'
+          : null;
+        if (reason) due.push({ bar, reason });
+        else upToDate.push(bar);
+      }
+      return { due, upToDate };
+    },
+
+    /** Records a processed bar and the fields it changed (not saved on a dry run). */
+    async done(bar, patch, fingerprintOf) {
+      if (dryRun) return;
+      await checkpoint.set(bar.id, { fingerprint: fingerprint(fingerprintOf(bar)), at: new Date().toISOString(), patch, written: false });
+    },
+
+    /** Applies the patch a run that never got to write saved for this bar; false if none. */
+    async apply(bar) {
+      const entry = await checkpoint.get(bar.id);
+      if (!entry || entry.written) return false;
+      Object.assign(bar, entry.patch);
+      return true;
+    },
+
+    /** Call after the bars file is written: the patches of these bars are in it now. */
+    async commit(bars) {
+      if (dryRun) return;
+      for (const bar of bars) {
+        const entry = await checkpoint.get(bar.id);
+        if (entry && !entry.written) await checkpoint.set(bar.id, { ...entry, written: true });
+      }
+    },
+  };
+}
+
+/** End-of-run report: counts, API use and a field-by-field diff (lib/bars-csv.js). */
+function printSummary({ before, after, due, upToDate, failed, stats, dryRun }) {
+  const reasons = ['only', 'new', 'changed', 'stale']
+    .map((r) => [r, due.filter((d) => d.reason === r).length])
+    .filter(([, n]) => n)
+    .map(([r, n]) => `${n} ${r}`);
+  const changes = BarsCsv.diffBars(before, after);
+  console.log('');
+  BarsCsv.formatDiff(changes).forEach((line) => console.log(line));
+  console.log(`${changes.length ? '\n' : ''}Summary: ${due.length} processed${reasons.length ? ` (${reasons.join(', ')})` : ''}, ${upToDate.length} up to date, ${failed} failed`);
+  console.log(`API: ${stats.requests} request(s), ${stats.cached} from cache | ${changes.length} bar(s) changed${dryRun ? ' (dry run – nothing written)' : ''}`);
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_MAX_AGE_DAYS,
+  parseOptions,
+  fingerprint,
+  mapLimit,
+  createRun,
+  printSummary,
+};
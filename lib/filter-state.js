@@ -0,0 +1,124 @@
+/**
+ * The map's filters as a query string, so a filtered view can be shared and survives a
+ * reload. Loaded by index.html (window.FilterState); also usable from node.
+ *
+ * State (DEFAULTS is "no filter"):
+ *   { moods: [], moodMatch: 'any' | 'all', priceMin, priceMax, minRating, dance: '' | 'yes' | 'no',
+ *     hours: '' | 'open_now' | 'open_late' | 'open_at', at: { day, minutes } (open_at only),
+ *     district: '', drink: '', unit: 'glass' | 'litre', bars: null | [ids] }
+ * Query string: ?mood=party_night,cheap&match=all&price=40-70&rating=4&dance=yes
+ *   &open=now | late | fri-2200&district=Södermalm&drink=cider&unit=litre&bars=a,b
+ * Only filters that are set are written; parse() ignores values it cannot read. `bars` is the
+ * AI search result (ranked ids); a link that also has `crawl` is a shared crawl, not a filter.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./opening-hours'));
+  else root.FilterState = factory(root.OpeningHours);
+})(typeof self !== 'undefined' ? self : this, function (OpeningHours) {
+  const DEFAULTS = {
+    moods: [],
+    moodMatch: 'any',
+    priceMin: null,
+    priceMax: null,
+    minRating: null,
+    dance: '',
+    hours: '',
+    at: null,
+    district: '',
+    drink: '',
+    unit: 'glass',
+    bars: null,
+  };
+
+  function list(value) {
+    return value ? value.split(',').map((s) => s.trim()).filter(Boolean) : [];
+  }
+
+  function toNumber(value) {
+    if (value == null || String(value).trim() === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  }
+
+  // "fri-2200" / "fri-22:00" -> { day, minutes }
+  function parseAt(value) {
+    const m = String(value).match(/^([a-zåäö]{3,})-(\d{1,2}):?(\d{2})$/i);
+    if (!m) return null;
+    const day = OpeningHours.dayIndex(m[1]);
+    const minutes = Number(m[2]) * 60 + Number(m[3]);
+    return day != null && minutes < 1440 ? { day, minutes } : null;
+  }
+
+  function formatAt(at) {
+    return `${OpeningHours.DAY_SHORT[at.day].toLowerCase()}-${OpeningHours.formatClock(at.minutes).replace(':', '')}`;
+  }
+
+  /** Query string (with or without "?") or URLSearchParams -> state. */
+  function parse(search) {
+    const params = search instanceof URLSearchParams ? search : new URLSearchParams(search || '');
+    const state = { ...DEFAULTS, moods: list(params.get('mood')) };
+    if (params.get('match') === 'all') state.moodMatch = 'all';
+    const price = params.get('price');
+    if (price && price.includes('-')) {
+      const [min, max] = price.split('-');
+      state.priceMin = toNumber(min);
+      state.priceMax = toNumber(max);
+      if (state.priceMin != null && state.priceMax != null && state.priceMin > state.priceMax) state.priceMax = null;
+    }
+    const rating = toNumber(params.get('rating'));
+    if (rating != null && rating <= 5) state.minRating = rating;
+    if (['yes', 'no'].includes(params.get('dance'))) state.dance = params.get('dance');
+    const open = params.get('open');
+    if (open === 'now') state.hours = 'open_now';
+    else if (open === 'late') state.hours = 'open_late';
+    else if (open && parseAt(open)) {
+      state.hours = 'open_at';
+      state.at = parseAt(open);
+    }
+    state.district = (params.get('district') || '').trim();
+    state.drink = (params.get('drink') || '').trim();
+    if (params.get('unit') === 'litre') state.unit = 'litre';
+    const bars = list(params.get('bars'));
+    if (bars.length && !params.has('crawl')) state.bars = bars;
+    return state;
+  }
+
+  /** State -> query string without "?" ('' when nothing is filtered). */
+  function serialize(state) {
+    const params = new URLSearchParams();
+    if (state.moods && state.moods.length) params.set('mood', state.moods.join(','));
+    if (state.moods && state.moods.length > 1 && state.moodMatch === 'all') params.set('match', 'all');
+    if (state.priceMin != null || state.priceMax != null) params.set('price', `${state.priceMin ?? ''}-${state.priceMax ?? ''}`);
+    if (state.minRating != null) params.set('rating', String(state.minRating));
+    if (state.dance) params.set('dance', state.dance);
+    if (state.hours === 'open_now') params.set('open', 'now');
+    else if (state.hours === 'open_late') params.set('open', 'late');
+    else if (state.hours === 'open_at' && state.at) params.set('open', formatAt(state.at));
+    if (state.district) params.set('district', state.district);
+    if (state.drink) params.set('drink', state.drink);
+    if (state.drink && state.unit === 'litre') params.set('unit', 'litre');
+    if (state.bars && state.bars.length) params.set('bars', state.bars.join(','));
+    // Commas read better than %2C in a shared link
+    return params.toString().replace(/%2C/g, ',');
+  }
+
+  /** How many filters are set (a price range, or several moods, counts once). AI results are not counted. */
+  function countActive(state) {
+    return [
+      state.moods && state.moods.length,
+      state.priceMin != null || state.priceMax != null,
+      state.minRating != null,
+      state.dance,
+      state.hours,
+      state.district,
+      state.drink,
+    ].filter(Boolean).length;
+  }
+
+  return {
+    DEFAULTS,
+    parse,
+    serialize,
+    countActive,
+  };
+});
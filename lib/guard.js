@@ -0,0 +1,103 @@
+/**
+ * Abuse protection for /api/bar-chat, shared by server.js and api/bar-chat.js:
+ * a per-IP token bucket (429 + Retry-After when empty) and a CORS allowlist
+ * instead of "Access-Control-Allow-Origin: *".
+ *
+ * Configuration (env or .env):
+ *   RATE_LIMIT_BURST      – bucket size, requests an IP can make back to back (default 10)
+ *   RATE_LIMIT_PER_MINUTE – refill rate (default 6)
+ *   CORS_ORIGINS          – comma-separated origins allowed to call the API from another
+ *                           site, e.g. "https://example.com,http://localhost:5173".
+ *                           The app's own origin never needs CORS; empty allows none.
+ */
+
+const { createMemoryStore } = require('./store');
+
+const DEFAULT_BURST = 10;
+const DEFAULT_PER_MINUTE = 6;
+
+/**
+ * Token bucket per key. take(key) -> { allowed, remaining, retryAfter } where
+ * retryAfter is whole seconds until the next token (0 when allowed).
+ */
+function createRateLimiter({ store = createMemoryStore(), burst = DEFAULT_BURST, perMinute = DEFAULT_PER_MINUTE } = {}) {
+  const refillPerMs = perMinute / 60000;
+  // A full bucket carries no information, so entries can expire once it would be full again
+  const ttlMs = Math.ceil(burst / refillPerMs);
+
+  return {
+    burst,
+    async take(key) {
+      const now = Date.now();
+      const bucket = (await store.get(`rate:${key}`)) || { tokens: burst, updated: now };
+      const tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) * refillPerMs);
+      if (tokens < 1) {
+        await store.set(`rate:${key}`, { tokens, updated: now }, ttlMs);
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000) };
+      }
+      await store.set(`rate:${key}`, { tokens: tokens - 1, updated: now }, ttlMs);
+      return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 };
+    },
+  };
+}
+
+/**
+ * Caller IP for the rate limit. The client can put anything in X-Forwarded-For, so only
+ * addresses a proxy added count: Vercel's own x-vercel-forwarded-for, else the last
+ * X-Forwarded-For hop (appended by the proxy in front of us), else the socket address.
+ */
+function clientIp(headers, remoteAddress) {
+  const platform = String((headers && headers['x-vercel-forwarded-for']) || '').split(',')[0].trim();
+  if (platform) return platform;
+  const hops = String((headers && headers['x-forwarded-for']) || '').split(',').map((h) => h.trim()).filter(Boolean);
+  return hops[hops.length - 1] || remoteAddress || 'unknown';
+}
+
+function parseOrigins(value) {
+  return String(value || '').split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+function sameOrigin(origin, host) {
+  try {
+    return !!host && new URL(origin).host === host;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * CORS response headers for a request. Browsers send Origin on same-origin POSTs
+ * too, so an Origin matching the Host header needs none. Returns null when a
+ * cross-site origin is not on the allowlist (callers answer with 403).
+ */
+function corsHeaders(headers, allowedOrigins) {
+  const origin = headers && headers.origin;
+  if (!origin || sameOrigin(origin, headers.host)) return {};
+  if (!allowedOrigins.includes(origin)) return null;
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    Vary: 'Origin',
+  };
+}
+
+/**
+ * Limiter and allowlist from env. The buckets get a store of their own, so many callers
+ * cannot push cached answers out of the response cache (and the other way round).
+ */
+function guardFromEnv(env = process.env, store = createMemoryStore()) {
+  const burst = Number(env.RATE_LIMIT_BURST) > 0 ? Number(env.RATE_LIMIT_BURST) : DEFAULT_BURST;
+  const perMinute = Number(env.RATE_LIMIT_PER_MINUTE) > 0 ? Number(env.RATE_LIMIT_PER_MINUTE) : DEFAULT_PER_MINUTE;
+  return {
+    limiter: createRateLimiter({ store, burst, perMinute }),
+    allowedOrigins: parseOrigins(env.CORS_ORIGINS),
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  clientIp,
+  corsHeaders,
+  guardFromEnv,
+};
@@ -0,0 +1,93 @@
+/**
+ * Happy hours: time windows with their own beer price. Loaded by index.html
+ * (window.HappyHours, after lib/opening-hours.js) and required by the scripts that
+ * read and write bars.json / bars-info.csv.
+ *
+ * bars.json: "happy_hours": [{ "hours": "Mon-Fri 16:00-19:00", "price": 45, "beer": "Norrlands" }]
+ *   hours – anything lib/opening-hours.js parses; beer is optional
+ * bars-info.csv (one cell): "Mon-Fri 16:00-19:00 = 45 | Sat 14:00-17:00 = 49 (Norrlands)"
+ *
+ * parse() gives windows { hours, price, beer, week } with week from OpeningHours.parse().
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./opening-hours'));
+  else root.HappyHours = factory(root.OpeningHours);
+})(typeof self !== 'undefined' ? self : this, function (OpeningHours) {
+  const CELL_SEPARATOR = ' | ';
+  const CELL_WINDOW_RE = /^(.*?)\s*=\s*(\d+(?:[.,]\d+)?)\s*(?:kr|sek)?\s*(?:\((.*)\))?\s*$/i;
+
+  function toWindow(hours, price, beer) {
+    const value = price != null && price !== '' ? Number(String(price).replace(',', '.')) : NaN;
+    const text = hours == null ? '' : typeof hours === 'string' ? hours.trim() : OpeningHours.formatWeek(OpeningHours.parse(hours));
+    const week = OpeningHours.parse(hours);
+    if (!Number.isFinite(value) || !OpeningHours.hasHours(week)) return null;
+    return { hours: text, price: value, beer: beer ? String(beer).trim() : null, week };
+  }
+
+  /** bars.json array, its JSON text, a CSV cell or parsed windows -> windows (unreadable ones dropped). */
+  function parse(value) {
+    if (value == null || value === '') return [];
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (/^\[/.test(text)) {
+        try {
+          return parse(JSON.parse(text));
+        } catch (_) {
+          return [];
+        }
+      }
+      return text.split('|').map((part) => {
+        const m = part.trim().match(CELL_WINDOW_RE);
+        return m ? toWindow(m[1], m[2], m[3]) : null;
+      }).filter(Boolean);
+    }
+    if (!Array.isArray(value)) return [];
+    return value.map((w) => w && toWindow(w.hours != null ? w.hours : w.week, w.price, w.beer)).filter(Boolean);
+  }
+
+  /**
+   * The window giving the lowest price at `minutes` on `day` (overnight windows from the day
+   * before count), as { window, until } with until in minutes relative to `day`; else null.
+   */
+  function activeAt(windows, day, minutes) {
+    let best = null;
+    for (const w of windows) {
+      const r = OpeningHours.currentInterval(w.week, day, minutes);
+      if (r && (!best || w.price < best.window.price)) best = { window: w, until: r.close };
+    }
+    return best;
+  }
+
+  /** Next window start after `minutes` on `day`: { window, day, open, inDays } or null. */
+  function nextStart(windows, day, minutes) {
+    let best = null;
+    for (const w of windows) {
+      const next = OpeningHours.nextOpening(w.week, day, minutes);
+      if (next && (!best || next.inDays * 1440 + next.open < best.inDays * 1440 + best.open)) best = { window: w, ...next };
+    }
+    return best;
+  }
+
+  function cheapestPrice(windows) {
+    return windows.length ? Math.min(...windows.map((w) => w.price)) : null;
+  }
+
+  /** Windows -> bars.json form (no parsed week). */
+  function toJSON(windows) {
+    return windows.map((w) => (w.beer ? { hours: w.hours, price: w.price, beer: w.beer } : { hours: w.hours, price: w.price }));
+  }
+
+  /** Windows -> one bars-info.csv cell that parse() reads back. */
+  function toCell(windows) {
+    return windows.map((w) => `${w.hours} = ${w.price}${w.beer ? ` (${w.beer})` : ''}`).join(CELL_SEPARATOR);
+  }
+
+  return {
+    parse,
+    activeAt,
+    nextStart,
+    cheapestPrice,
+    toJSON,
+    toCell,
+  };
+});
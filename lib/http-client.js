@@ -0,0 +1,118 @@
+/**
+ * HTTP for the enrichment scripts (Google Places, Photon, the LLM in lib/llm-provider.js),
+ * so they can run offline against recorded responses. client.fetch(url, init) takes and
+ * returns the same as fetch().
+ *
+ * Configuration (env):
+ *   HTTP_MODE     – "live" (default): plain fetch
+ *                   "record": fetch, and save every exchange as a fixture
+ *                   "replay": answer from the fixtures only, never touch the network; a request
+ *                   without one throws with err.code 'FIXTURE_MISSING'
+ *   HTTP_FIXTURES – fixture directory, default test/fixtures/http
+ *
+ * A fixture is one JSON file per request, <host>-<hash>.json:
+ *   { request: { method, url, body }, response: { status, headers, body } }
+ * body is parsed JSON where it was JSON. API keys are dropped from the url (SECRET_PARAMS) and
+ * no request headers are saved, so fixtures can be committed; the hash is over method, the
+ * url without keys and the body, so a replay needs no real keys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../test/fixtures/http');
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+// Response headers worth keeping (retry-after drives the LLM backoff)
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+function httpError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function redactUrl(url) {
+  const u = new URL(url);
+  for (const name of SECRET_PARAMS) u.searchParams.delete(name);
+  return u.toString();
+}
+
+function parseBody(text) {
+  if (text == null || text === '') return null;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return text;
+  }
+}
+
+function fixtureName(method, url, body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify([method, url, body])).digest('hex').slice(0, 12);
+  return `${new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_')}-${hash}.json`;
+}
+
+function toResponse({ status, headers, body }) {
+  const text = body == null ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  return new Response(text, { status, headers: headers || {} });
+}
+
+/** { mode, fixturesDir, fetch } – fetch defaults to the global one (live and record). */
+function createHttpClient(options = {}) {
+  const mode = options.mode || 'live';
+  if (!MODES.includes(mode)) throw httpError('HTTP_CONFIG', `Unknown HTTP_MODE "${mode}" (use ${MODES.join(', ')})`);
+  const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+  const realFetch = options.fetch || ((...args) => fetch(...args));
+  const client = { mode, fixturesDir, stats: { live: 0, recorded: 0, replayed: 0 } };
+
+  client.fetch = async function httpFetch(url, init = {}) {
+    if (mode === 'live') {
+      client.stats.live++;
+      return realFetch(url, init);
+    }
+    const method = (init.method || 'GET').toUpperCase();
+    const request = { method, url: redactUrl(url), body: parseBody(init.body) };
+    const file = path.join(fixturesDir, fixtureName(request.method, request.url, request.body));
+
+    if (mode === 'replay') {
+      let fixture;
+      try {
+        fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (_) {
+        throw httpError('FIXTURE_MISSING', `No fixture for ${method} ${request.url} (${path.basename(file)}) – record it with HTTP_MODE=record`);
+      }
+      client.stats.replayed++;
+      return toResponse(fixture.response);
+    }
+
+    const res = await realFetch(url, init);
+    const headers = {};
+    for (const name of KEPT_HEADERS) {
+      const value = res.headers && res.headers.get ? res.headers.get(name) : null;
+      if (value) headers[name] = value;
+    }
+    const response = { status: res.status, headers, body: parseBody(await res.text()) };
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ request, response }, null, 2) + '\n', 'utf8');
+    client.stats.recorded++;
+    return toResponse(response);
+  };
+  return client;
+}
+
+/** The client HTTP_MODE / HTTP_FIXTURES ask for; getEnv(name) defaults to process.env. */
+function httpClientFromEnv(getEnv = (name) => process.env[name]) {
+  const get = (name) => String(getEnv(name) || '').trim();
+  const fixtures = get('HTTP_FIXTURES');
+  return createHttpClient({
+    mode: get('HTTP_MODE').toLowerCase() || 'live',
+    fixturesDir: fixtures ? path.resolve(process.cwd(), fixtures) : undefined,
+  });
+}
+
+module.exports = {
+  createHttpClient,
+  httpClientFromEnv,
+  redactUrl,
+};
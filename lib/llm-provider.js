@@ -0,0 +1,274 @@
+/**
+ * LLM provider shared by lib/bar-chat.js (server.js, api/bar-chat.js) and
+ * scripts/categorize-bars-by-mood.js. Every provider exposes
+ *   complete({ messages, temperature, maxTokens, label }) -> { content, usage }
+ *   stream(sameOptions, onDelta)                          -> { content, usage }
+ * (stream() calls onDelta(text) for each piece as it arrives) and keeps running
+ * token totals in provider.usage.
+ *
+ * Configuration (env or .env):
+ *   LLM_PROVIDER    – "openai" (any OpenAI-compatible /chat/completions endpoint) or "mock"
+ *   LLM_BASE_URL    – default https://api.openai.com/v1; e.g. http://localhost:11434/v1 for Ollama
+ *                     or http://localhost:8080/v1 for llama.cpp (no key needed there)
+ *   LLM_MODEL       – default gpt-4o-mini
+ *   LLM_API_KEY     – falls back to OPENAI_API_KEY
+ *   LLM_TIMEOUT_MS  – per attempt, default 20000
+ *   LLM_MAX_RETRIES – retries after the first attempt, default 2
+ *   LLM_DEADLINE_MS – the whole call, retries and backoff included; default none
+ *                     (api/bar-chat.js sets one so it answers locally before the function is killed)
+ * Requests go through options.fetch when given (the scripts pass lib/http-client.js).
+ *
+ * Timeouts, network errors, 429 and 5xx are retried with exponential backoff
+ * (Retry-After is honoured) as long as the wait ends before the deadline; a stream is
+ * only retried before its first delta.
+ * While streaming, LLM_TIMEOUT_MS is the longest allowed gap between chunks.
+ *
+ * Failures throw with err.code set:
+ *   LLM_TIMEOUT         – no response, or no stream chunk, within LLM_TIMEOUT_MS, or past the deadline
+ *   LLM_HTTP_ERROR      – a non-2xx response; err.status holds the status
+ *   LLM_NETWORK_ERROR   – the connection failed or the stream broke off (err.cause has why)
+ *   INVALID_MODEL_REPLY – the response, or a line of the stream, is not JSON
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+const MOCK_CHUNK_SIZE = 8;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function llmError(code, message, status) {
+  const err = new Error(message);
+  err.code = code;
+  if (status != null) err.status = status;
+  return err;
+}
+
+// Same code lib/validate-bar-chat.js uses for a broken reply, so callers fall back the same way
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    throw llmError('INVALID_MODEL_REPLY', `LLM ${what} is not JSON: ${String(text).slice(0, 80)}`);
+  }
+}
+
+// fetch() and reading its body reject with a TypeError ("fetch failed", "terminated") when
+// the connection goes; errors that already have a code (timeouts, fixtures) pass through
+function networkError(err) {
+  if (err.name === 'AbortError' || err.code) return err;
+  const wrapped = llmError('LLM_NETWORK_ERROR', `LLM request failed: ${err.message}`);
+  wrapped.cause = err;
+  return wrapped;
+}
+
+function isRetryable(err) {
+  if (err.code === 'LLM_TIMEOUT' || err.code === 'LLM_NETWORK_ERROR') return true;
+  if (err.code === 'LLM_HTTP_ERROR') return err.status === 429 || err.status >= 500;
+  return false;
+}
+
+function backoffMs(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) return Math.min(seconds * 1000, MAX_BACKOFF_MS);
+  return Math.min(BACKOFF_BASE_MS * 2 ** attempt, MAX_BACKOFF_MS);
+}
+
+function newUsage() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+function recordUsage(provider, label, usage, ms) {
+  const u = {
+    promptTokens: Number(usage && usage.prompt_tokens) || 0,
+    completionTokens: Number(usage && usage.completion_tokens) || 0,
+  };
+  u.totalTokens = Number(usage && usage.total_tokens) || u.promptTokens + u.completionTokens;
+  provider.usage.calls++;
+  provider.usage.promptTokens += u.promptTokens;
+  provider.usage.completionTokens += u.completionTokens;
+  provider.usage.totalTokens += u.totalTokens;
+  if (provider.logUsage) {
+    console.log(`llm: ${label || 'call'} ${provider.name}/${provider.model} ${u.promptTokens}+${u.completionTokens}=${u.totalTokens} tokens in ${ms}ms`);
+  }
+  return u;
+}
+
+/** OpenAI-compatible chat completions (OpenAI, Ollama, llama.cpp, vLLM, ...). */
+function createOpenAIProvider(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const maxRetries = Number.isInteger(options.maxRetries) && options.maxRetries >= 0 ? options.maxRetries : DEFAULT_MAX_RETRIES;
+  const deadlineMs = options.deadlineMs > 0 ? options.deadlineMs : null;
+  const doFetch = options.fetch || fetch;
+  const provider = {
+    name: 'openai',
+    model: options.model || DEFAULT_MODEL,
+    baseUrl,
+    usage: newUsage(),
+    logUsage: options.logUsage !== false,
+  };
+
+  // onDelta set: read the SSE stream ("data: {...}" lines, "data: [DONE]" at the end).
+  // deadline is a Date.now() time (Infinity for none) that no wait may run past.
+  async function attempt(body, onDelta, deadline) {
+    const controller = new AbortController();
+    const waitMs = () => Math.max(0, Math.min(timeoutMs, deadline - Date.now()));
+    let timer = setTimeout(() => controller.abort(), waitMs());
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+      const res = await doFetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      }).catch((err) => {
+        throw networkError(err);
+      });
+      if (!res.ok) {
+        const text = await res.text();
+        const err = llmError('LLM_HTTP_ERROR', `LLM API error: ${res.status} ${text}`, res.status);
+        err.retryAfter = res.headers && res.headers.get ? res.headers.get('retry-after') : null;
+        throw err;
+      }
+      if (!onDelta) return parseJson(await res.text(), 'response');
+
+      let content = '';
+      let usage = null;
+      let buffered = '';
+      const decoder = new TextDecoder();
+      const chunks = res.body[Symbol.asyncIterator]();
+      for (;;) {
+        const { value: chunk, done } = await chunks.next().catch((err) => {
+          throw networkError(err);
+        });
+        if (done) break;
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), waitMs());
+        buffered += decoder.decode(chunk, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+          const event = parseJson(data, 'stream line');
+          if (event.usage) usage = event.usage;
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onDelta(delta);
+          }
+        }
+      }
+      return { choices: [{ message: { content } }], usage };
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw llmError('LLM_TIMEOUT', Date.now() >= deadline ? `LLM call ran past its ${deadlineMs}ms deadline` : `LLM request timed out after ${timeoutMs}ms`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function run({ messages, temperature = 0.3, maxTokens = 500, label } = {}, onDelta) {
+    const body = { model: provider.model, messages, temperature, max_tokens: maxTokens };
+    if (onDelta) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+    const started = Date.now();
+    const deadline = deadlineMs ? started + deadlineMs : Infinity;
+    let streamed = false;
+    const forward = onDelta && ((text) => { streamed = true; onDelta(text); });
+    for (let i = 0; ; i++) {
+      try {
+        const data = await attempt(body, forward, deadline);
+        const usage = recordUsage(provider, label, data.usage, Date.now() - started);
+        return { content: data.choices?.[0]?.message?.content?.trim() || '', usage };
+      } catch (err) {
+        const wait = backoffMs(i, err.retryAfter);
+        if (streamed || i >= maxRetries || !isRetryable(err) || Date.now() + wait >= deadline) throw err;
+        console.warn(`llm: ${label || 'call'} attempt ${i + 1} failed (${err.message}), retrying in ${wait}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  provider.complete = (options) => run(options);
+  provider.stream = (options, onDelta) => run(options, onDelta);
+  return provider;
+}
+
+// Default mock reply: the first three bar ids in the prompt, so the whole
+// bar-chat flow runs without a model (LLM_PROVIDER=mock node server.js).
+function defaultMockReply(messages) {
+  const prompt = messages.map((m) => m.content).join('\n');
+  const ids = [...prompt.matchAll(/- id: "([^"]+)"/g)].map((m) => m[1]);
+  return JSON.stringify({ barIds: ids.slice(0, 3), reply: 'Here are some matches (mock).' });
+}
+
+/**
+ * Deterministic provider for tests and offline runs. reply is a string or a
+ * function(messages) returning one; every call is kept in provider.calls.
+ */
+function createMockProvider(options = {}) {
+  const reply = options.reply || defaultMockReply;
+  const provider = {
+    name: 'mock',
+    model: options.model || 'mock',
+    usage: newUsage(),
+    logUsage: !!options.logUsage,
+    calls: [],
+  };
+  provider.complete = async function complete({ messages, temperature, maxTokens, label } = {}) {
+    provider.calls.push({ messages, temperature, maxTokens, label });
+    const content = typeof reply === 'function' ? reply(messages) : String(reply);
+    const promptTokens = Math.ceil(messages.map((m) => m.content).join('').length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    const usage = recordUsage(provider, label, { prompt_tokens: promptTokens, completion_tokens: completionTokens }, 0);
+    return { content, usage };
+  };
+  // Same reply, handed out in small pieces like a real stream
+  provider.stream = async function stream(options, onDelta) {
+    const result = await provider.complete(options);
+    for (let i = 0; i < result.content.length; i += MOCK_CHUNK_SIZE) onDelta(result.content.slice(i, i + MOCK_CHUNK_SIZE));
+    return result;
+  };
+  return provider;
+}
+
+/**
+ * Builds the provider from configuration. getEnv(name) defaults to process.env
+ * (scripts pass their .env reader). Returns null when no model is configured:
+ * no LLM_PROVIDER, no key and no custom base URL. fetch is handed to the OpenAI provider;
+ * deadlineMs applies when LLM_DEADLINE_MS is not set.
+ */
+function providerFromEnv(getEnv = (name) => process.env[name], { fetch, deadlineMs } = {}) {
+  const get = (name) => String(getEnv(name) || '').trim();
+  const kind = get('LLM_PROVIDER').toLowerCase();
+  if (kind === 'mock') return createMockProvider({ model: get('LLM_MODEL') || undefined, logUsage: true });
+  if (kind && kind !== 'openai') throw llmError('LLM_CONFIG', `Unknown LLM_PROVIDER "${kind}" (use "openai" or "mock")`);
+
+  const apiKey = get('LLM_API_KEY') || get('OPENAI_API_KEY');
+  const baseUrl = get('LLM_BASE_URL');
+  if (!kind && !apiKey && !baseUrl) return null;
+  return createOpenAIProvider({
+    apiKey,
+    baseUrl: baseUrl || undefined,
+    model: get('LLM_MODEL') || undefined,
+    timeoutMs: Number(get('LLM_TIMEOUT_MS')) || undefined,
+    maxRetries: get('LLM_MAX_RETRIES') !== '' ? Number(get('LLM_MAX_RETRIES')) : undefined,
+    deadlineMs: Number(get('LLM_DEADLINE_MS')) || deadlineMs,
+    fetch,
+  });
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createMockProvider,
+  providerFromEnv,
+};
@@ -0,0 +1,194 @@
+/**
+ * Drinks menu per bar: the `menu` array in bars.json. Loaded by index.html (window.Menu)
+ * and required by lib/bar-chat.js and the scripts that read and write bars.json / bars-info.csv.
+ *
+ * bars.json: "menu": [{ "category": "cider", "name": "Somersby", "cl": 33, "price": 59 }]
+ *   category – one of CATEGORIES (anything else counts as 'other'); name and cl are optional
+ * bars-info.csv (one cell): "beer: Norrlands Guld 40 cl = 49 | cider: Somersby 33 cl = 59"
+ *
+ * parse() gives items { category, name, cl, price }. A bar without a beer on its menu still
+ * has the old price / cheapest_beer_name – menuOf() adds that as a beer of unknown size.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Menu = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CATEGORIES = ['beer', 'ipa', 'cider', 'wine', 'cocktail', 'non_alcoholic', 'other'];
+  const LABELS = {
+    beer: 'Beer',
+    ipa: 'IPA',
+    cider: 'Cider',
+    wine: 'Wine',
+    cocktail: 'Cocktail',
+    non_alcoholic: 'Alcohol-free',
+    other: 'Other',
+  };
+  const ALIASES = {
+    öl: 'beer',
+    lager: 'beer',
+    pilsner: 'beer',
+    'pale ale': 'ipa',
+    apa: 'ipa',
+    cider: 'cider',
+    vin: 'wine',
+    'red wine': 'wine',
+    'white wine': 'wine',
+    'wine glass': 'wine',
+    drink: 'cocktail',
+    alkoholfri: 'non_alcoholic',
+    'alcohol-free': 'non_alcoholic',
+    'alcohol free': 'non_alcoholic',
+    na: 'non_alcoholic',
+  };
+  const CELL_SEPARATOR = ' | ';
+  const CELL_ITEM_RE = /^([^:=]+?)\s*:\s*(.*?)\s*=\s*(\d+(?:[.,]\d+)?)\s*(?:kr|sek)?\s*$/i;
+  const VOLUME_RE = /^(.*?)\s*(\d+(?:[.,]\d+)?)\s*cl$/i;
+
+  function toNumber(value) {
+    return value != null && value !== '' ? Number(String(value).replace(',', '.')) : NaN;
+  }
+
+  function toCategory(value) {
+    const key = String(value == null ? '' : value).trim().toLowerCase().replace(/_/g, ' ');
+    if (!key) return null;
+    const id = key.replace(/ /g, '_');
+    if (CATEGORIES.includes(id)) return id;
+    return ALIASES[key] || 'other';
+  }
+
+  function toItem(category, name, cl, price) {
+    const cat = toCategory(category);
+    const value = toNumber(price);
+    const volume = toNumber(cl);
+    if (!cat || !Number.isFinite(value)) return null;
+    return {
+      category: cat,
+      name: name ? String(name).trim() || null : null,
+      cl: Number.isFinite(volume) && volume > 0 ? volume : null,
+      price: value,
+    };
+  }
+
+  /** bars.json array, its JSON text, a CSV cell or parsed items -> items (unreadable ones dropped). */
+  function parse(value) {
+    if (value == null || value === '') return [];
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (/^\[/.test(text)) {
+        try {
+          return parse(JSON.parse(text));
+        } catch (_) {
+          return [];
+        }
+      }
+      return text.split('|').map((part) => {
+        const m = part.trim().match(CELL_ITEM_RE);
+        if (!m) return null;
+        const volume = m[2].match(VOLUME_RE);
+        return volume ? toItem(m[1], volume[1], volume[2], m[3]) : toItem(m[1], m[2], null, m[3]);
+      }).filter(Boolean);
+    }
+    if (!Array.isArray(value)) return [];
+    return value.map((i) => i && toItem(i.category, i.name, i.cl, i.price)).filter(Boolean);
+  }
+
+  /**
+   * A bar's items: its menu plus, unless the menu already lists that beer, the old
+   * single price (price / cheapest_beer_sek with cheapest_beer_name) as a beer.
+   */
+  function menuOf(menu, price, beerName) {
+    const items = parse(menu);
+    const value = toNumber(price);
+    if (!Number.isFinite(value)) return items;
+    if (items.some((i) => i.category === 'beer' && i.price === value)) return items;
+    return [{ category: 'beer', name: beerName ? String(beerName).trim() || null : null, cl: null, price: value }].concat(items);
+  }
+
+  /** Kronor per litre, or null when the volume is unknown. */
+  function pricePerLitre(item) {
+    return item.cl ? Math.round((item.price / item.cl) * 100) : null;
+  }
+
+  /** What to compare by: the price of the glass, or per litre so 33 cl and 50 cl pours line up. */
+  function itemValue(item, unit) {
+    return unit === 'litre' ? pricePerLitre(item) : item.price;
+  }
+
+  /** The item in `category` (null = any) with the lowest value for `unit`, or null. */
+  function cheapest(items, category, unit) {
+    let best = null;
+    for (const item of items) {
+      if (category && item.category !== category) continue;
+      const value = itemValue(item, unit);
+      if (value == null) continue;
+      if (!best || value < itemValue(best, unit)) best = item;
+    }
+    return best;
+  }
+
+  /**
+   * Cheapest and average over bars for one category: each bar counts with its cheapest item.
+   * Returns { bars, cheapest, average } (values in kr or kr/l), with cheapest/average null
+   * when no bar has a comparable item.
+   */
+  function categoryStats(menus, category, unit) {
+    const values = menus
+      .map((items) => cheapest(items, category, unit))
+      .filter(Boolean)
+      .map((item) => itemValue(item, unit));
+    if (!values.length) return { bars: 0, cheapest: null, average: null };
+    return {
+      bars: values.length,
+      cheapest: Math.min(...values),
+      average: Math.round(values.reduce((a, b) => a + b, 0) / values.length),
+    };
+  }
+
+  /** Categories present in items, in CATEGORIES order. */
+  function categoriesOf(items) {
+    return CATEGORIES.filter((c) => items.some((i) => i.category === c));
+  }
+
+  /** "Somersby 33 cl · 59 kr (179 kr/l)" */
+  function formatItem(item) {
+    const perLitre = pricePerLitre(item);
+    const name = [item.name, item.cl ? `${item.cl} cl` : null].filter(Boolean).join(' ') || LABELS[item.category];
+    return `${name} · ${item.price} kr${perLitre != null ? ` (${perLitre} kr/l)` : ''}`;
+  }
+
+  /** Items -> bars.json form. */
+  function toJSON(items) {
+    return items.map((i) => {
+      const out = { category: i.category };
+      if (i.name) out.name = i.name;
+      if (i.cl) out.cl = i.cl;
+      out.price = i.price;
+      return out;
+    });
+  }
+
+  /** Items -> one bars-info.csv cell that parse() reads back. */
+  function toCell(items) {
+    return items
+      .map((i) => {
+        const label = [i.name, i.cl ? `${i.cl} cl` : null].filter(Boolean).join(' ');
+        return `${i.category}:${label ? ` ${label}` : ''} = ${i.price}`;
+      })
+      .join(CELL_SEPARATOR);
+  }
+
+  return {
+    CATEGORIES,
+    LABELS,
+    parse,
+    menuOf,
+    pricePerLitre,
+    itemValue,
+    cheapest,
+    categoryStats,
+    categoriesOf,
+    formatItem,
+    toJSON,
+    toCell,
+  };
+});
@@ -0,0 +1,16 @@
+/**
+ * Mood slugs a bar can have in its "moods" array: assigned by
+ * scripts/categorize-bars-by-mood.js and checked by scripts/validate-bars.js.
+ */
+
+const MOODS = [
+  'first_date',    // Good for a first date: not too loud, cozy, easy to talk
+  'third_date',    // Romantic / more intimate, good for a later date
+  'chill_date',    // Relaxed date vibe, low key
+  'party_night',   // Dancing, loud, night out with friends
+  'chill_hangout', // Casual hangout, not necessarily a date
+  'group_friends', // Good for groups
+  'cheap_night_out' // Budget-friendly
+];
+
+module.exports = { MOODS };
@@ -0,0 +1,254 @@
+/**
+ * Opening hours: the one parser and model for every hours format in bars.json and
+ * bars-info.csv. Loaded by index.html (window.OpeningHours) and required by lib/bar-query.js.
+ *
+ * Model ("week"): 7 entries, Monday first.
+ *   null                  – unknown (no data for that day)
+ *   []                    – closed all day
+ *   [{ open, close }, …]  – minutes from that day's midnight, sorted by open;
+ *                           overnight spans close after 1440 (Fri 15:00–03:00 = { open: 900, close: 1620 })
+ *
+ * parse() accepts:
+ *   "Mon-Sun: 16:00 - 01:00"                 "Mon-Thu 15:00-01:00, Fri-Sat 15:00-03:00"
+ *   "Monday to Friday: 11:30 AM - 1:00 AM, Sunday: Closed"
+ *   "{Monday:17:00 - 23:00,…,Sunday:Closed}" { Monday: "17:00 - 23:00", Sunday: "Closed" }
+ *   Google weekday_text arrays, several ranges per day ("Mon: 11-14, 17-01"), "Sat & Sun: …",
+ *   "Daily 16-01", 24:00, "Open 24 hours", Swedish day names and "stängt", and a week from parse().
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.OpeningHours = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+  const DAY_SHORT = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  // First three letters (diacritics folded) -> day index; English and Swedish
+  const DAY_PREFIXES = {
+    mon: 0, tue: 1, wed: 2, thu: 3, fri: 4, sat: 5, sun: 6,
+    man: 0, tis: 1, ons: 2, tor: 3, fre: 4, lor: 5, son: 6,
+  };
+  const DAY = '(?:mon|tue|wed|thu|fri|sat|sun|mån|man|tis|ons|tor|fre|lör|lor|sön|son)[a-zåäö]*\\.?';
+  const DAY_SPAN_RE = new RegExp(`^\\s*(${DAY})(?:\\s*(?:-|–|—|to|till|until)\\s*(${DAY}))?`, 'i');
+  const DAY_JOIN_RE = /^\s*(?:&|\+|\/|,|and\b|och\b)\s*/i;
+  const SEGMENT_SPLIT_RE = new RegExp(`\\s*(?:[;\\n]|,(?=\\s*${DAY}(?![a-zåäö])))\\s*`, 'i');
+  const EVERY_DAY_RE = /^\s*(?:daily|every ?day|all days|alla dagar|dagligen)\b\s*:?\s*/i;
+  const RANGE_RE = /(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?\s*(?:-|–|—|to|till)\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/gi;
+  const CLOSED_RE = /closed|stängt|stangt/i;
+  const ALL_DAY_RE = /24\s*(?:h\b|hours|timmar)|dygnet runt|open all day/i;
+
+  function dayIndex(token) {
+    const key = String(token)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .slice(0, 3);
+    return key in DAY_PREFIXES ? DAY_PREFIXES[key] : null;
+  }
+
+  function parseClock(h, m, meridiem) {
+    let hour = Number(h);
+    if (meridiem) {
+      const pm = /p/i.test(meridiem);
+      if (pm && hour < 12) hour += 12;
+      if (!pm && hour === 12) hour = 0;
+    }
+    return hour * 60 + (m ? Number(m) : 0);
+  }
+
+  function isWeek(value) {
+    return Array.isArray(value) && value.length === 7 && value.every((d) => d === null || Array.isArray(d));
+  }
+
+  // "Mon-Thu", "Sat & Sun", "Fri, Sat" at the start of a segment -> { days, rest }
+  function readDays(segment) {
+    const days = [];
+    let rest = segment;
+    for (;;) {
+      const m = rest.match(DAY_SPAN_RE);
+      if (!m) break;
+      const from = dayIndex(m[1]);
+      const to = m[2] ? dayIndex(m[2]) : from;
+      for (let i = from; ; i = (i + 1) % 7) {
+        if (!days.includes(i)) days.push(i);
+        if (i === to) break;
+      }
+      rest = rest.slice(m[0].length);
+      const join = rest.match(DAY_JOIN_RE);
+      if (!join || !DAY_SPAN_RE.test(rest.slice(join[0].length))) break;
+      rest = rest.slice(join[0].length);
+    }
+    return { days, rest: rest.replace(/^\s*[:.]?\s*/, '') };
+  }
+
+  // Hours part of a segment -> intervals, [] for closed, null when unreadable
+  function parseIntervals(spec) {
+    if (CLOSED_RE.test(spec)) return [];
+    if (ALL_DAY_RE.test(spec)) return [{ open: 0, close: 1440 }];
+    const intervals = [];
+    for (const t of spec.matchAll(RANGE_RE)) {
+      const open = parseClock(t[1], t[2], t[3]);
+      let close = parseClock(t[4], t[5], t[6]);
+      if (open >= 1440 || close > 1440) continue;
+      if (close <= open) close += 1440;
+      intervals.push({ open, close });
+    }
+    return intervals.length ? intervals.sort((a, b) => a.open - b.open) : null;
+  }
+
+  function toSegments(input) {
+    if (Array.isArray(input)) return input.map(String);
+    if (typeof input === 'object') return Object.entries(input).map(([k, v]) => `${k}: ${v == null ? '' : v}`);
+    let text = String(input).trim();
+    if (/^[[{]/.test(text)) {
+      try {
+        return toSegments(JSON.parse(text));
+      } catch (_) {
+        text = text.replace(/^\s*\{|\}\s*$/g, '');
+      }
+    }
+    return text.split(SEGMENT_SPLIT_RE);
+  }
+
+  /** Any supported hours value -> week (see top of file). Unreadable input gives 7 × null. */
+  function parse(input) {
+    const week = [null, null, null, null, null, null, null];
+    if (input == null || input === '') return week;
+    if (isWeek(input)) return input.map((d) => (d ? d.map((r) => ({ open: r.open, close: r.close })) : null));
+    let pending = [];
+    let sawDays = false;
+    for (const segment of toSegments(input)) {
+      let { days, rest } = readDays(segment.trim());
+      if (days.length) sawDays = true;
+      if (!days.length && EVERY_DAY_RE.test(rest)) {
+        days = [0, 1, 2, 3, 4, 5, 6];
+        rest = rest.replace(EVERY_DAY_RE, '');
+      }
+      days = pending.concat(days);
+      // "Fri, Sat: 15-03" splits into "Fri" and "Sat: 15-03"; carry the bare day forward
+      if (days.length && !rest.trim()) {
+        pending = days;
+        continue;
+      }
+      pending = [];
+      const intervals = parseIntervals(rest);
+      if (!intervals) continue;
+      // Hours without any day names ("16:00 - 01:00") apply to every day
+      const targets = days.length ? days : sawDays ? [] : [0, 1, 2, 3, 4, 5, 6];
+      for (const d of targets) week[d] = (week[d] && week[d].length ? week[d].concat(intervals) : intervals.slice()).sort((a, b) => a.open - b.open);
+    }
+    return week;
+  }
+
+  function hasHours(week) {
+    return week.some((d) => d !== null);
+  }
+
+  /** Current day (0 = Monday) and minutes since midnight in Stockholm, wherever the code runs. */
+  function stockholmNow(date) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: 'Europe/Stockholm',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date || new Date());
+    const get = (type) => parts.find((p) => p.type === type).value;
+    return { day: dayIndex(get('weekday')), minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+  }
+
+  /**
+   * The interval open at `minutes` on `day`, including the previous day's overnight
+   * span, with times relative to `day` (yesterday's 15:00–03:00 -> { open: -540, close: 180 }).
+   */
+  function currentInterval(week, day, minutes) {
+    const today = (week[day] || []).find((r) => minutes >= r.open && minutes < r.close);
+    if (today) return today;
+    const yesterday = (week[(day + 6) % 7] || []).find((r) => minutes + 1440 >= r.open && minutes + 1440 < r.close);
+    return yesterday ? { open: yesterday.open - 1440, close: yesterday.close - 1440 } : null;
+  }
+
+  /** true / false, or null when neither that day nor the day before has hours. */
+  function isOpenAt(week, day, minutes) {
+    if (currentInterval(week, day, minutes)) return true;
+    return week[day] === null && week[(day + 6) % 7] === null ? null : false;
+  }
+
+  /** Minutes from `minutes` on `day` until the bar closes, or null when it is closed then. */
+  function minutesUntilClose(week, day, minutes) {
+    const r = currentInterval(week, day, minutes);
+    return r ? r.close - minutes : null;
+  }
+
+  /** Next opening after `minutes` on `day` within a week: { day, open, inDays } or null. */
+  function nextOpening(week, day, minutes) {
+    for (let offset = 0; offset < 7; offset++) {
+      const d = (day + offset) % 7;
+      const r = (week[d] || []).find((x) => offset > 0 || x.open > minutes);
+      if (r) return { day: d, open: r.open, inDays: offset };
+    }
+    return null;
+  }
+
+  // Open at `minutes` (possibly > 1440, i.e. after midnight) on `day`, or on any day when day is null
+  function isOpenLateOn(week, day, minutes) {
+    const days = day == null ? [0, 1, 2, 3, 4, 5, 6] : [day];
+    return days.some((d) => (week[d] || []).some((r) => r.open <= minutes && r.close > minutes));
+  }
+
+  /** Latest closing time on `day` (minutes, may exceed 1440), or null. */
+  function latestClose(week, day) {
+    const ranges = week[day] || [];
+    return ranges.length ? Math.max(...ranges.map((r) => r.close)) : null;
+  }
+
+  /** True when some day (or `day`) closes at or after `minutes`, e.g. 1560 for 02:00. */
+  function closesAtOrAfter(week, minutes, day) {
+    const days = day == null ? [0, 1, 2, 3, 4, 5, 6] : [day];
+    return days.some((d) => (latestClose(week, d) || 0) >= minutes);
+  }
+
+  function formatClock(minutes) {
+    const m = ((minutes % 1440) + 1440) % 1440;
+    return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+  }
+
+  /** One day: "16:00–01:00", "11:30–14:00, 17:00–01:00", "Closed", or "" when unknown. */
+  function formatDay(ranges) {
+    if (!ranges) return '';
+    if (!ranges.length) return 'Closed';
+    return ranges.map((r) => (r.open === 0 && r.close === 1440 ? 'Open 24 hours' : `${formatClock(r.open)}–${formatClock(r.close)}`)).join(', ');
+  }
+
+  /** Compact text that parse() reads back: "Mon-Thu 15:00–01:00, Fri-Sat 15:00–03:00, Sun Closed". */
+  function formatWeek(week) {
+    const groups = [];
+    week.forEach((ranges, d) => {
+      const text = formatDay(ranges);
+      const last = groups[groups.length - 1];
+      if (last && last.text === text && last.to === d - 1) last.to = d;
+      else groups.push({ from: d, to: d, text });
+    });
+    return groups
+      .filter((g) => g.text)
+      .map((g) => `${DAY_SHORT[g.from]}${g.to > g.from ? '-' + DAY_SHORT[g.to] : ''} ${g.text}`)
+      .join(', ');
+  }
+
+  return {
+    DAY_NAMES,
+    DAY_SHORT,
+    dayIndex,
+    parse,
+    hasHours,
+    stockholmNow,
+    currentInterval,
+    isOpenAt,
+    minutesUntilClose,
+    nextOpening,
+    isOpenLateOn,
+    latestClose,
+    closesAtOrAfter,
+    formatClock,
+    formatDay,
+    formatWeek,
+  };
+});
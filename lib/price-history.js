@@ -0,0 +1,96 @@
+/**
+ * Price history per bar: the `price_history` array in bars.json, oldest first.
+ * Loaded by index.html (window.PriceHistory) and required by the scripts that write bars.json.
+ *
+ * Entry: { date, price, source, checked? }
+ *   date    – YYYY-MM-DD the price was first recorded
+ *   price   – cheapest beer in kr
+ *   source  – 'manual' (edited in bars.json / the CSV), 'suggestion' (approved visitor
+ *             report, scripts/moderate-suggestions.js) or 'scrape'
+ *   checked – YYYY-MM-DD the same price was last seen again, when later than date
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.PriceHistory = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SOURCES = ['manual', 'suggestion', 'scrape'];
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+  function toDay(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'string' && DATE_RE.test(value)) return value.slice(0, 10);
+    const d = new Date(value);
+    return isNaN(d) ? null : d.toISOString().slice(0, 10);
+  }
+
+  /** Valid entries only, dates as YYYY-MM-DD, sorted by date. Anything else gives []. */
+  function normalize(history) {
+    if (!Array.isArray(history)) return [];
+    return history
+      .map((e) => e && {
+        date: toDay(e.date),
+        price: e.price != null && e.price !== '' ? Number(e.price) : NaN,
+        source: SOURCES.includes(e.source) ? e.source : 'manual',
+        checked: toDay(e.checked),
+      })
+      .filter((e) => e && e.date && Number.isFinite(e.price))
+      .map((e) => (e.checked && e.checked > e.date ? e : { date: e.date, price: e.price, source: e.source }))
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  }
+
+  /**
+   * History with `price` recorded on `date` (default today). A new price is appended;
+   * an unchanged one only moves `checked` forward when `observed` (someone actually saw
+   * the price, e.g. a visitor report or a scrape) – regenerating bars.json from the same
+   * data is not a check.
+   */
+  function addPrice(history, price, { date, source = 'manual', observed = false } = {}) {
+    const list = normalize(history);
+    const value = price != null && price !== '' ? Number(price) : NaN;
+    if (!Number.isFinite(value)) return list;
+    const day = toDay(date || new Date());
+    const last = list[list.length - 1];
+    if (last && last.price === value) {
+      if (observed && day > (last.checked || last.date)) list[list.length - 1] = { ...last, checked: day };
+      return list;
+    }
+    list.push({ date: day, price: value, source });
+    return list;
+  }
+
+  /** Newest date the history knows about (a change or a re-check), or null. */
+  function lastChecked(history) {
+    const list = normalize(history);
+    return list.reduce((max, e) => {
+      const d = e.checked || e.date;
+      return !max || d > max ? d : max;
+    }, null);
+  }
+
+  /** The last entry with a different price than the current one, or null. */
+  function previousPrice(history) {
+    const list = normalize(history);
+    const current = list[list.length - 1];
+    for (let i = list.length - 2; i >= 0; i--) if (list[i].price !== current.price) return list[i];
+    return null;
+  }
+
+  /** "was 45 kr in March" (same year as `now`) or "was 45 kr in March 2025"; '' without a change. */
+  function describeChange(history, now) {
+    const prev = previousPrice(history);
+    if (!prev) return '';
+    const date = new Date((prev.checked || prev.date) + 'T12:00:00Z');
+    const thisYear = (now || new Date()).getUTCFullYear() === date.getUTCFullYear();
+    const month = date.toLocaleDateString('en-GB', { month: 'long', year: thisYear ? undefined : 'numeric', timeZone: 'UTC' });
+    return `was ${prev.price} kr in ${month}`;
+  }
+
+  return {
+    SOURCES,
+    normalize,
+    addPrice,
+    lastChecked,
+    previousPrice,
+    describeChange,
+  };
+});
@@ -0,0 +1,98 @@
+/**
+ * Key-value store used for the bar-chat response cache and the rate limiter.
+ *
+ * Interface (all async so a shared store such as Redis or Vercel KV can be dropped in):
+ *   get(key)              -> value or undefined (expired entries count as missing)
+ *   set(key, value, ttlMs) -> stores a JSON-serialisable value; ttlMs optional
+ *   delete(key)
+ *
+ * The default is in-memory, so on Vercel every warm function instance has its own
+ * copy – good enough to absorb repeats and bursts, not a hard global limit.
+ * createFileStore() keeps the same in a JSON file, for scripts that must survive a crash
+ * (the enrichment caches and checkpoints in lib/enrich.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/** In-memory store; the oldest entries are evicted past maxEntries. */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires && entry.expires <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : undefined;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expires: ttlMs ? Date.now() + ttlMs : 0 });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Store backed by a JSON file, written after every change (to a temp file, then renamed,
+ * so a crash mid-write leaves the previous version). Expired entries are dropped on load.
+ */
+function createFileStore(filePath) {
+  let entries = {};
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (_) {}
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(entries)) {
+    if (!entry || (entry.expires && entry.expires <= now)) delete entries[key];
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries), 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+
+  function live(key) {
+    const entry = Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : undefined;
+    if (!entry) return undefined;
+    if (entry.expires && entry.expires <= Date.now()) {
+      delete entries[key];
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : undefined;
+    },
+    async set(key, value, ttlMs) {
+      entries[key] = { value, expires: ttlMs ? Date.now() + ttlMs : 0 };
+      save();
+    },
+    async delete(key) {
+      if (!(key in entries)) return;
+      delete entries[key];
+      save();
+    },
+  };
+}
+
+module.exports = { createMemoryStore, createFileStore };
@@ -0,0 +1,230 @@
+/**
+ * Checks what the model sent back before it reaches the client: the reply must be a
+ * strict { barIds: string[], reply: string } object, ids must exist in bars.json
+ * (near misses like "kvarnen-bar" or "Kvarnen" are mapped to the real id, the rest
+ * dropped), duplicates go, and bars that break the user's explicit limits are removed.
+ * explainBar() builds the per-bar "reason" shown in the UI from the bar record itself.
+ * createReplyStreamParser() reads the same object while it is still streaming in.
+ */
+
+const {
+  barId,
+  barPrice,
+  hasDanceFloor,
+  passesHardConstraints,
+  NEIGHBOURHOODS,
+} = require('./bar-query');
+const { stockholmNow, latestClose, formatClock } = require('./opening-hours');
+
+const MAX_REPLY_LENGTH = 300;
+const MAX_RESULTS = 15;
+
+// Lowercase, no diacritics, letters/digits only: "Älgen Bar" -> "algenbar"
+function fold(s) {
+  return String(s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Folded, without a leading or trailing "bar": "kvarnen-bar" and "Bar Kvarnen" -> "kvarnen"
+function core(s) {
+  const key = fold(s);
+  const stripped = key.replace(/^bar|bar$/g, '');
+  return stripped.length >= 3 ? stripped : key;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function invalidReply(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_MODEL_REPLY';
+  return err;
+}
+
+/**
+ * Parses the model output strictly. Markdown code fences are tolerated; anything
+ * else around the object, extra keys or wrong types throw (err.code 'INVALID_MODEL_REPLY').
+ */
+function parseModelReply(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (_) {
+    throw invalidReply('Model reply is not valid JSON');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw invalidReply('Model reply is not a JSON object');
+  const extra = Object.keys(parsed).filter((k) => k !== 'barIds' && k !== 'reply');
+  if (extra.length) throw invalidReply(`Model reply has unexpected keys: ${extra.join(', ')}`);
+  if (!Array.isArray(parsed.barIds) || parsed.barIds.some((id) => typeof id !== 'string')) {
+    throw invalidReply('Model reply "barIds" must be an array of strings');
+  }
+  if (typeof parsed.reply !== 'string' || !parsed.reply.trim()) throw invalidReply('Model reply "reply" must be a non-empty string');
+  return { barIds: parsed.barIds, reply: parsed.reply.trim().slice(0, MAX_REPLY_LENGTH) };
+}
+
+/**
+ * Reads a streamed model reply as it arrives: onBarIds(rawIds) fires once the
+ * "barIds" array is complete, onReplyText(text) for each new piece of "reply".
+ * The finished text still goes through parseModelReply().
+ */
+function createReplyStreamParser({ onBarIds, onReplyText }) {
+  let text = '';
+  let idsSent = false;
+  let replySent = 0;
+
+  // Decodes the "reply" string so far, stopping before an escape that is cut off
+  function replySoFar() {
+    const start = text.search(/"reply"\s*:\s*"/);
+    if (start < 0) return '';
+    let i = text.indexOf('"', text.indexOf(':', start)) + 1;
+    let raw = '';
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') {
+        const len = text[i + 1] === 'u' ? 6 : 2;
+        if (i + len > text.length) break;
+        raw += text.slice(i, i + len);
+        i += len;
+      } else {
+        raw += text[i++];
+      }
+    }
+    try {
+      return JSON.parse(`"${raw}"`).slice(0, MAX_REPLY_LENGTH);
+    } catch (_) {
+      return '';
+    }
+  }
+
+  return {
+    push(chunk) {
+      text += chunk;
+      if (!idsSent) {
+        const m = text.match(/"barIds"\s*:\s*(\[[^\]]*\])/);
+        if (m) {
+          try {
+            const ids = JSON.parse(m[1]);
+            idsSent = true;
+            onBarIds(ids.filter((id) => typeof id === 'string'));
+          } catch (_) {}
+        }
+      }
+      const reply = replySoFar();
+      if (reply.length > replySent) {
+        onReplyText(reply.slice(replySent));
+        replySent = reply.length;
+      }
+    },
+    get text() {
+      return text;
+    },
+  };
+}
+
+/**
+ * Maps an id from the model onto a bar: exact id, then same id/name once folded, then
+ * the same without "bar" around it, then the closest folded id/name within a small
+ * edit distance. Returns the bar or null.
+ */
+function findBar(rawId, bars, byId) {
+  if (byId.has(rawId)) return byId.get(rawId);
+  const key = fold(rawId);
+  if (!key) return null;
+  const same = (f, k) => (bar) => f(barId(bar)) === k || f(bar.name) === k;
+  const found = bars.find(same(fold, key)) || bars.find(same(core, core(rawId)));
+  if (found) return found;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const bar of bars) {
+    for (const c of [fold(barId(bar)), fold(bar.name)]) {
+      const d = levenshtein(key, c);
+      if (d < bestDistance) { best = bar; bestDistance = d; }
+    }
+  }
+  const allowed = Math.max(1, Math.floor(key.length / 5));
+  return bestDistance <= allowed ? best : null;
+}
+
+/**
+ * Turns raw model ids into real, unique ids that respect the query's hard limits.
+ * Returns { barIds, dropped, mapped } so callers can log what was fixed up.
+ */
+function resolveBarIds(rawIds, bars, query, now) {
+  const byId = new Map(bars.map((b) => [barId(b), b]));
+  const at = now || stockholmNow();
+  const seen = new Set();
+  const barIds = [];
+  const dropped = [];
+  const mapped = {};
+  for (const raw of rawIds) {
+    const bar = findBar(raw, bars, byId);
+    if (!bar) { dropped.push(raw); continue; }
+    const id = barId(bar);
+    if (id !== raw) mapped[raw] = id;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    if (query && !passesHardConstraints(bar, query, at)) { dropped.push(raw); continue; }
+    barIds.push(id);
+  }
+  return { barIds: barIds.slice(0, MAX_RESULTS), dropped, mapped };
+}
+
+function formatHour(minutes) {
+  const clock = formatClock(minutes);
+  return clock.endsWith(':00') ? clock.slice(0, 2) : clock;
+}
+
+/** Short reason from the bar record, e.g. "38 kr, open till 03, dance floor". */
+function explainBar(bar, query, now) {
+  const at = now || stockholmNow();
+  const parts = [];
+  const price = barPrice(bar);
+  parts.push(price != null ? `${price} kr` : 'price unknown');
+
+  const week = bar.opening_week;
+  const day = query && query.day != null ? query.day : at.day;
+  const close = latestClose(week, day);
+  if (close != null) parts.push(`open till ${formatHour(close)}`);
+  else if (week[day]) parts.push(query && query.day != null ? 'closed that day' : 'closed today');
+
+  if (hasDanceFloor(bar)) parts.push('dance floor');
+  if (query && query.neighbourhood) parts.push(NEIGHBOURHOODS[query.neighbourhood].label);
+  const moods = bar.moods;
+  const matched = query ? query.moods.filter((m) => moods.includes(m)) : [];
+  if (matched.length) parts.push(matched.map((m) => m.replace(/_/g, ' ')).join(' & '));
+  if (bar.rating != null) parts.push(`${bar.rating.toFixed(1)}★`);
+  return parts.join(', ');
+}
+
+/** [{ id, name, reason }] in barIds order. */
+function buildResults(barIds, bars, query, now) {
+  const byId = new Map(bars.map((b) => [barId(b), b]));
+  return barIds
+    .filter((id) => byId.has(id))
+    .map((id) => {
+      const bar = byId.get(id);
+      return { id, name: bar.name, reason: explainBar(bar, query, now) };
+    });
+}
+
+module.exports = {
+  fold,
+  parseModelReply,
+  createReplyStreamParser,
+  resolveBarIds,
+  explainBar,
+  buildResults,
+};
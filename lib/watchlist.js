@@ -0,0 +1,98 @@
+/**
+ * Watchlist alerts: what sw.js compares between two versions of bars.json and how
+ * index.html words the result. Loaded by both (self.Watchlist / window.Watchlist);
+ * needs lib/opening-hours.js, lib/happy-hours.js and lib/bar-normalize.js (with its own
+ * dependencies) loaded first.
+ *
+ * Snapshot per bar: { price, closes, happy } where closes holds each day's latest closing
+ * time (OpeningHours.latestClose, null when unknown) and happy the cheapest happy-hour
+ * price (null without one). A change is one of
+ *   { id, name, at, type: 'price_drop', from, to }
+ *   { id, name, at, type: 'later_hours', days: [4, 5], from, to }   (closing minutes)
+ *   { id, name, at, type: 'happy_hour', from, to }                  (from null: new happy hour)
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./opening-hours'), require('./happy-hours'), require('./bar-normalize'));
+  else root.Watchlist = factory(root.OpeningHours, root.HappyHours, root.BarNormalize);
+})(typeof self !== 'undefined' ? self : this, function (OpeningHours, HappyHours, BarNormalize) {
+  function snapshotBar(row) {
+    const bar = BarNormalize.normalizeBar(row);
+    return {
+      price: bar.cheapest_beer_sek,
+      closes: [0, 1, 2, 3, 4, 5, 6].map((d) => OpeningHours.latestClose(bar.opening_week, d)),
+      happy: HappyHours.cheapestPrice(bar.happy_hours),
+    };
+  }
+
+  /** Changes worth an alert between two snapshots of one bar (without id/name/at). */
+  function diffSnapshots(prev, next) {
+    const changes = [];
+    if (prev.price != null && next.price != null && next.price < prev.price) {
+      changes.push({ type: 'price_drop', from: prev.price, to: next.price });
+    }
+    // Days that went from unknown to known are new data, not later hours
+    const later = new Map();
+    next.closes.forEach((close, d) => {
+      const before = prev.closes && prev.closes[d];
+      if (before == null || close == null || close <= before) return;
+      const key = `${before}-${close}`;
+      if (!later.has(key)) later.set(key, { type: 'later_hours', days: [], from: before, to: close });
+      later.get(key).days.push(d);
+    });
+    // Snapshots from before happy hours were tracked have no `happy` – nothing to compare yet
+    if (prev.happy !== undefined && next.happy != null && (prev.happy == null || next.happy < prev.happy)) {
+      changes.push({ type: 'happy_hour', from: prev.happy, to: next.happy });
+    }
+    return changes.concat([...later.values()]);
+  }
+
+  /**
+   * Compares the watchlisted bars in `rows` (bars.json) with the stored snapshots.
+   * Returns { snapshots, changes }; a bar seen for the first time only gets a snapshot.
+   * Snapshots of ids no longer watched are dropped, those missing from rows kept.
+   */
+  function checkBars(rows, ids, snapshots, at) {
+    const byId = new Map(rows.map((row) => [BarNormalize.barId(row), row]));
+    const nextSnapshots = {};
+    const changes = [];
+    for (const id of ids) {
+      const row = byId.get(id);
+      const prev = snapshots && snapshots[id];
+      if (!row) {
+        if (prev) nextSnapshots[id] = prev;
+        continue;
+      }
+      const next = snapshotBar(row);
+      nextSnapshots[id] = next;
+      if (!prev) continue;
+      const name = BarNormalize.barName(row) || '';
+      for (const change of diffSnapshots(prev, next)) changes.push({ id, name, at, ...change });
+    }
+    return { snapshots: nextSnapshots, changes };
+  }
+
+  /** Notification / panel text: { title, body }. */
+  function describeChange(change) {
+    if (change.type === 'price_drop') {
+      return { title: `${change.name}: ${change.to} kr`, body: `Cheapest beer dropped from ${change.from} kr.` };
+    }
+    if (change.type === 'happy_hour') {
+      return {
+        title: `${change.name}: happy hour ${change.to} kr`,
+        body: change.from == null ? 'New happy hour.' : `Happy-hour price dropped from ${change.from} kr.`,
+      };
+    }
+    const days = change.days.map((d) => OpeningHours.DAY_SHORT[d]).join(', ');
+    return {
+      title: `${change.name} is open later`,
+      body: `${days}: now until ${OpeningHours.formatClock(change.to)} (was ${OpeningHours.formatClock(change.from)}).`,
+    };
+  }
+
+  return {
+    snapshotBar,
+    diffSnapshots,
+    checkBars,
+    describeChange,
+  };
+});
@@ -5,36 +5,50 @@
  *
  * Usage:
  *   node scripts/categorize-bars-by-mood.js [bars.json]
+ *   options: --only <id>, --dry-run, --concurrency <n>, --max-age <days> (see lib/enrich.js)
  *
  * Requires in .env (or environment):
  *   GOOGLE_PLACES_API_KEY  – for fetching review snippets
- *   OPENAI_API_KEY         – for LLM classification
+ *   OPENAI_API_KEY         – for LLM classification (or LLM_BASE_URL / LLM_MODEL for a
+ *                            local OpenAI-compatible server, see lib/llm-provider.js)
+ *   HTTP_MODE              – optional: record or replay the Places and LLM calls as
+ *                            fixtures (lib/http-client.js)
  *
  * Reads bars.json, fetches Place Details (with reviews) for each bar that has
- * place_id, then calls OpenAI to assign one or more moods per bar. Writes
+ * place_id, then asks the LLM to assign one or more moods per bar. Writes
  * back to bars.json with a "moods" array per bar.
  *
+ * Runs are incremental: only bars that are new, whose details (name, place, price, rating,
+ * dance floor, vibes, address) changed or that were categorized more than --max-age days ago
+ * are sent to the LLM. Reviews and LLM answers are cached in .cache/ (lib/enrich.js), so a
+ * stopped run picks up where it was and a repeat run costs nothing. Ends with the moods
+ * that changed per bar, the number of requests and the LLM token usage.
+ *
  * Mood categories: first_date, third_date, chill_date, party_night,
  * chill_hangout, group_friends, cheap_night_out
  */
 
 const fs = require('fs');
 const path = require('path');
-
-const inputArg = process.argv[2];
+const { providerFromEnv } = require('../lib/llm-provider');
+const { MOODS } = require('../lib/moods');
+const { normalizeBar } = require('../lib/bar-normalize');
+const Enrich = require('../lib/enrich');
+const { httpClientFromEnv } = require('../lib/http-client');
+
+let options;
+try {
+  options = Enrich.parseOptions(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const inputArg = options.positional[0];
 const BARS_PATH = inputArg
   ? path.resolve(process.cwd(), inputArg)
   : path.resolve(__dirname, '../bars.json');
-
-const MOODS = [
-  'first_date',    // Good for a first date: not too loud, cozy, easy to talk
-  'third_date',    // Romantic / more intimate, good for a later date
-  'chill_date',    // Relaxed date vibe, low key
-  'party_night',   // Dancing, loud, night out with friends
-  'chill_hangout', // Casual hangout, not necessarily a date
-  'group_friends', // Good for groups
-  'cheap_night_out' // Budget-friendly
-];
+// Live unless HTTP_MODE says record or replay (lib/http-client.js)
+const http = httpClientFromEnv(getEnvKey);
 
 // Manual corrections for bars where we have strong local knowledge
 // and want to enforce specific moods regardless of LLM noise.
@@ -61,10 +75,6 @@ function getEnvKey(name) {
   return '';
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
 async function getPlaceDetailsWithReviews(apiKey, placeId) {
   const params = new URLSearchParams({
     place_id: placeId,
@@ -73,9 +83,9 @@ async function getPlaceDetailsWithReviews(apiKey, placeId) {
     language: 'en',
   });
   const url = `https://maps.googleapis.com/maps/api/place/details/json?${params}`;
-  const res = await fetch(url);
+  const res = await http.fetch(url);
   const data = await res.json();
-  if (data.status !== 'OK') return null;
+  if (data.status !== 'OK') throw new Error(data.error_message || data.status || 'Place Details error');
   const result = data.result || {};
   const reviews = (result.reviews || []).slice(0, 5).map((r) => (r.text || '').trim()).filter(Boolean);
   return {
@@ -86,7 +96,7 @@ async function getPlaceDetailsWithReviews(apiKey, placeId) {
   };
 }
 
-async function classifyBarWithOpenAI(apiKey, barContext) {
+async function classifyBarWithLLM(llm, barContext) {
   const systemPrompt = `You are a Stockholm bar expert. Given structured information and real review snippets about a bar, assign one or more mood categories.
 
 Categories (use exactly these slugs, no others): ${MOODS.join(', ')}.
@@ -114,30 +124,15 @@ ${barContext}
 
 Return ONLY a JSON array of mood slugs from this list: ${MOODS.join(', ')}.`;
 
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.3,
-      max_tokens: 150,
-    }),
+  const { content } = await llm.complete({
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.3,
+    maxTokens: 150,
+    label: 'mood',
   });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenAI ${res.status}: ${err}`);
-  }
-
-  const data = await res.json();
-  const content = (data.choices?.[0]?.message?.content || '').trim();
   const jsonMatch = content.match(/\[[\s\S]*?\]/);
   if (!jsonMatch) return [];
   try {
@@ -148,16 +143,116 @@ Return ONLY a JSON array of mood slugs from this list: ${MOODS.join(', ')}.`;
   }
 }
 
+// Everything the prompt is built from except the reviews; a change re-categorizes the bar
+function fingerprintOf(row) {
+  const bar = normalizeBar(row);
+  return {
+    name: bar.name,
+    place_id: bar.place_id,
+    price: bar.cheapest_beer_sek,
+    rating: bar.rating,
+    review_count: bar.review_count,
+    dance_floor: bar.dance_floor,
+    vibes: bar.vibes,
+    location: row.correct_address || bar.address,
+  };
+}
+
+/** The bar's moods after asking the LLM; throws when the LLM call fails. */
+async function categorizeBar(run, googleKey, llm, row) {
+  const bar = normalizeBar(row);
+  const name = bar.name;
+  const placeId = bar.place_id;
+
+  let reviewsText = '';
+  if (placeId) {
+    try {
+      const details = await run.cached(`reviews:${placeId}`, () => getPlaceDetailsWithReviews(googleKey, placeId));
+      if (details && details.reviews && details.reviews.length > 0) {
+        reviewsText = details.reviews.map((t) => t.slice(0, 400)).join('\n---\n');
+      }
+    } catch (e) {
+      console.warn(`${bar.id} (${name}): Places error ${e.message}`);
+    }
+  }
+
+  const price = bar.cheapest_beer_sek;
+  const rating = bar.rating;
+  const reviewCount = bar.review_count;
+  const dance = bar.dance_floor;
+  const vibesArr = bar.vibes;
+  const vibes = vibesArr.join(', ');
+  const location = row.correct_address || bar.address || '';
+
+  // Simple heuristic hint for the LLM: candidate date bar if decent rating, moderate price, and no dance floor.
+  const likelyDateHeuristic =
+    (rating != null && rating >= 4.0) &&
+    (price != null && price >= 60 && price <= 140) &&
+    (dance === 'no');
+
+  const barContext = [
+    `Name: ${name}`,
+    location ? `Location: ${location}` : null,
+    `Price (cheapest beer SEK): ${price != null ? price : 'unknown'}`,
+    `Rating: ${rating != null ? rating : 'unknown'}`,
+    `Review count: ${reviewCount != null ? reviewCount : 'unknown'}`,
+    `Dance floor: ${dance}`,
+    `Vibes: ${vibes || 'none'}`,
+    `Heuristic_likely_date_bar: ${likelyDateHeuristic ? 'yes' : 'no'}`,
+    reviewsText ? `Reviews:\n${reviewsText}` : '(No review text)',
+  ].filter(Boolean).join('\n');
+
+  // Same prompt, same answer: only a new context costs an LLM call
+  const llmMoods = await run.cached(`mood:${Enrich.fingerprint(barContext)}`, () => classifyBarWithLLM(llm, barContext));
+
+  // Start from any existing moods to keep previous manual edits,
+  // then merge in LLM output.
+  const finalMoods = bar.moods.slice();
+  for (const m of Array.isArray(llmMoods) ? llmMoods : []) {
+    if (MOODS.includes(m) && !finalMoods.includes(m)) finalMoods.push(m);
+  }
+
+  const textBlob = [
+    reviewsText || '',
+    vibesArr.join(' '),
+    location || '',
+  ].join(' ').toLowerCase();
+
+  const hasDateMood = finalMoods.some((m) =>
+    m === 'first_date' || m === 'third_date' || m === 'chill_date'
+  );
+
+  // If reviews clearly talk about dates/romance but no date mood was assigned,
+  // gently correct by adding a suitable date mood.
+  const dateRegex = /(date night|first date|romantic|cozy|cosy|intimate|dejta|dejten|dejtnight|vinbar|wine bar|cocktail bar)/i;
+  if (!hasDateMood && dateRegex.test(textBlob)) {
+    if (rating != null && rating >= 4.0 && price != null && price >= 70) {
+      if (!finalMoods.includes('first_date')) finalMoods.push('first_date');
+    } else {
+      if (!finalMoods.includes('chill_date')) finalMoods.push('chill_date');
+    }
+  }
+
+  // Apply manual overrides for bars we strongly care about.
+  const override = MANUAL_MOOD_OVERRIDES[bar.id];
+  if (override && Array.isArray(override)) {
+    for (const m of override) {
+      if (MOODS.includes(m) && !finalMoods.includes(m)) finalMoods.push(m);
+    }
+  }
+  return finalMoods;
+}
+
 async function main() {
   const googleKey = getEnvKey('GOOGLE_PLACES_API_KEY');
-  const openaiKey = getEnvKey('OPENAI_API_KEY');
+  const llm = providerFromEnv(getEnvKey, { fetch: http.fetch });
 
   if (!googleKey) {
     console.error('Set GOOGLE_PLACES_API_KEY in .env (for Place reviews).');
     process.exit(1);
   }
-  if (!openaiKey) {
-    console.error('Set OPENAI_API_KEY in .env (for LLM classification).');
+  if (!llm) {
+    console.error('Set OPENAI_API_KEY (or LLM_BASE_URL) in .env (for LLM classification).');
     process.exit(1);
   }
 
@@ -168,111 +263,35 @@ async function main() {
 
   const bars = JSON.parse(fs.readFileSync(BARS_PATH, 'utf8'));
   const list = Array.isArray(bars) ? bars : (bars.bars || bars.data || []);
-  console.log('Bars to categorize:', list.length);
+  const before = JSON.parse(JSON.stringify(list));
+
+  const run = Enrich.createRun('moods', options);
+  const { due, upToDate } = await run.select(list, fingerprintOf);
+  for (const bar of upToDate) await run.apply(bar);
+  console.log(`Bars to categorize: ${due.length} of ${list.length} (${options.concurrency} at a time)`);
 
   let done = 0;
   let failed = 0;
-
-  for (let i = 0; i < list.length; i++) {
-    const bar = list[i];
-    const name = bar.bar_name || bar.name || bar.id || 'Unknown';
-    const placeId = bar.place_id || null;
-
-    let reviewsText = '';
-    if (placeId) {
-      try {
-        const details = await getPlaceDetailsWithReviews(googleKey, placeId);
-        await sleep(350);
-        if (details && details.reviews && details.reviews.length > 0) {
-          reviewsText = details.reviews.map((t) => t.slice(0, 400)).join('\n---\n');
-        }
-      } catch (e) {
-        console.warn(`[${i + 1}/${list.length}] ${name}: Places error ${e.message}`);
-      }
-    }
-
-    const price = bar.price != null ? Number(bar.price) : null;
-    const rating = bar.rating != null ? Number(bar.rating) : null;
-    const reviewCount = bar.review_count != null ? bar.review_count : bar.user_ratings_total;
-    const dance = bar.dance_floor || 'unknown';
-    const vibesArr = Array.isArray(bar.vibes) ? bar.vibes : (bar.vibes ? String(bar.vibes).split(/[,;]/).map((v) => v.trim()).filter(Boolean) : []);
-    const vibes = vibesArr.join(', ');
-    const location = bar.correct_address || bar.location || '';
-
-    // Simple heuristic hint for the LLM: candidate date bar if decent rating, moderate price, and no dance floor.
-    const likelyDateHeuristic =
-      (rating != null && rating >= 4.0) &&
-      (price != null && price >= 60 && price <= 140) &&
-      (dance === 'no');
-
-    const barContext = [
-      `Name: ${name}`,
-      location ? `Location: ${location}` : null,
-      `Price (cheapest beer SEK): ${price != null ? price : 'unknown'}`,
-      `Rating: ${rating != null ? rating : 'unknown'}`,
-      `Review count: ${reviewCount != null ? reviewCount : 'unknown'}`,
-      `Dance floor: ${dance}`,
-      `Vibes: ${vibes || 'none'}`,
-      `Heuristic_likely_date_bar: ${likelyDateHeuristic ? 'yes' : 'no'}`,
-      reviewsText ? `Reviews:\n${reviewsText}` : '(No review text)',
-    ].filter(Boolean).join('\n');
-
+  await Enrich.mapLimit(due, options.concurrency, async ({ bar }) => {
     try {
-      const llmMoods = await classifyBarWithOpenAI(openaiKey, barContext);
-      await sleep(300);
-
-      // Start from any existing moods to keep previous manual edits,
-      // then merge in LLM output.
-      const finalMoods = Array.isArray(bar.moods) ? bar.moods.slice() : [];
-      for (const m of Array.isArray(llmMoods) ? llmMoods : []) {
-        if (MOODS.includes(m) && !finalMoods.includes(m)) finalMoods.push(m);
-      }
-
-      const textBlob = [
-        reviewsText || '',
-        vibesArr.join(' '),
-        location || '',
-      ].join(' ').toLowerCase();
-
-      const hasDateMood = finalMoods.some((m) =>
-        m === 'first_date' || m === 'third_date' || m === 'chill_date'
-      );
-
-      // If reviews clearly talk about dates/romance but no date mood was assigned,
-      // gently correct by adding a suitable date mood.
-      const dateRegex = /(date night|first date|romantic|cozy|cosy|intimate|dejta|dejten|dejtnight|vinbar|wine bar|cocktail bar)/i;
-      if (!hasDateMood && dateRegex.test(textBlob)) {
-        if (rating != null && rating >= 4.0 && price != null && price >= 70) {
-          if (!finalMoods.includes('first_date')) finalMoods.push('first_date');
-        } else {
-          if (!finalMoods.includes('chill_date')) finalMoods.push('chill_date');
-        }
-      }
-
-      // Apply manual overrides for bars we strongly care about.
-      const override = MANUAL_MOOD_OVERRIDES[bar.id];
-      if (override && Array.isArray(override)) {
-        for (const m of override) {
-          if (MOODS.includes(m) && !finalMoods.includes(m)) finalMoods.push(m);
-        }
-      }
-
-      bar.moods = finalMoods;
-      done++;
+      const moods = await categorizeBar(run, googleKey, llm, bar);
+      bar.moods = moods;
+      await run.done(bar, { moods }, fingerprintOf);
     } catch (e) {
-      console.warn(`[${i + 1}/${list.length}] ${name}: OpenAI error ${e.message}`);
+      console.warn(`${bar.id} (${normalizeBar(bar).name}): LLM error ${e.message}`);
       bar.moods = Array.isArray(bar.moods) ? bar.moods : [];
       failed++;
     }
+    if (++done % 10 === 0) console.log(`Processed ${done}/${due.length} | failed: ${failed}`);
+  });
 
-    if ((i + 1) % 10 === 0) {
-      console.log(`Processed ${i + 1}/${list.length} | ok: ${done} | failed: ${failed}`);
-    }
-  }
+  Enrich.printSummary({ before, after: list, due, upToDate, failed, stats: run.stats, dryRun: options.dryRun });
+  console.log(`LLM usage: ${llm.usage.calls} calls, ${llm.usage.totalTokens} tokens (${llm.usage.promptTokens} prompt + ${llm.usage.completionTokens} completion)`);
+  if (options.dryRun) return;
 
   fs.writeFileSync(BARS_PATH, JSON.stringify(list, null, 2), 'utf8');
   console.log('Wrote', BARS_PATH);
-  console.log('Done. Categorized:', done, '| Failed:', failed);
+  await run.commit(list);
 }
 
 main().catch((e) => {
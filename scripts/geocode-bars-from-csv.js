@@ -1,21 +1,45 @@
 #!/usr/bin/env node
 /**
- * Geocodes every bar's "location" with Mapbox and writes bars.json for the website.
+ * Imports bars-info.csv (or a JSON list of bars) into bars.json for the website.
  * Usage:
  *   node scripts/geocode-bars-from-csv.js [path-to-csv]
  *   node scripts/geocode-bars-from-csv.js data/source-bars.json
+ *   options: --dry-run (print the diff only), --prune (drop bars that are not in the input),
+ *            --regeocode (look up every address again, not only new or changed ones)
  * CSV path defaults to ../../Downloads/Newbars1_rows.csv. JSON = array of { bar_name, location, id, price, ... }.
  * Run once, then the site loads bars.json with no geocoding on load.
+ *
+ * The CSV is read per RFC 4180 (lib/bars-csv.js) and each row is merged into the existing
+ * bar with the same id: columns the sheet has overwrite those fields, everything else is
+ * kept. Bars without coordinates, or whose address changed, are geocoded with Photon; a
+ * non-empty correct_address becomes the bar's address. Each bar's price_history
+ * (lib/price-history.js) gets an entry when its price changed, and an empty price is filled
+ * from the cheapest beer on the menu (lib/menu.js). Each bar's district is looked up from its
+ * coordinates in data/districts.geojson (lib/districts.js). What changed is printed before writing.
+ * HTTP_MODE=record|replay records or replays the Photon calls as fixtures (lib/http-client.js).
  */
 
 const fs = require('fs');
 const path = require('path');
+const PriceHistory = require('../lib/price-history');
+const Menu = require('../lib/menu');
+const BarsCsv = require('../lib/bars-csv');
+const Districts = require('../lib/districts');
+const { slugify } = require('../lib/bar-normalize');
+const { httpClientFromEnv } = require('../lib/http-client');
 
-const inputArg = process.argv[2];
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const PRUNE = args.includes('--prune');
+const REGEOCODE = args.includes('--regeocode');
+const inputArg = args.find((a) => !a.startsWith('--'));
 const defaultCsv = path.resolve(__dirname, '../../Downloads/Newbars1_rows.csv');
 const INPUT_PATH = inputArg ? path.resolve(process.cwd(), inputArg) : defaultCsv;
 const OUT_PATH = path.resolve(__dirname, '../bars.json');
 const ENV_CONFIG_PATH = path.resolve(__dirname, '../env-config.js');
+const DISTRICTS_PATH = path.resolve(__dirname, '../data/districts.geojson');
+// Live unless HTTP_MODE says record or replay (lib/http-client.js)
+const http = httpClientFromEnv();
 
 function getToken() {
   const envPath = path.resolve(__dirname, '../.env');
@@ -32,42 +56,21 @@ function getToken() {
   return process.env.MAPBOX_TOKEN || '';
 }
 
-function addressKey(loc) {
-  if (!loc || typeof loc !== 'string') return '';
-  return loc.trim().replace(/\s+/g, ' ');
-}
-
-function parseCSVLine(line) {
-  const out = [];
-  let cur = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === '"') {
-      inQuotes = !inQuotes;
-    } else if ((c === ',' && !inQuotes) || (c === '\n' && !inQuotes)) {
-      out.push(cur.trim());
-      cur = '';
-      if (c === '\n') break;
-    } else {
-      cur += c;
-    }
+// Bars already in the output file, in file order; the input is merged into them by id
+function readExistingBars(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const list = Array.isArray(data) ? data : (data.bars || data.data || []);
+    return list.filter(b => b && b.id);
+  } catch (_) {
+    return [];
   }
-  if (cur.length) out.push(cur.trim());
-  return out;
 }
 
-function parseCSV(text) {
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const header = parseCSVLine(lines[0]);
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    const row = {};
-    header.forEach((h, j) => { row[h] = values[j] ?? ''; });
-    rows.push(row);
-  }
-  return rows;
+function addressKey(loc) {
+  if (!loc || typeof loc !== 'string') return '';
+  return loc.trim().replace(/\s+/g, ' ');
 }
 
 async function geocodePhoton(address, logFirst) {
@@ -76,7 +79,7 @@ async function geocodePhoton(address, logFirst) {
   const params = new URLSearchParams({ q: query, limit: 1, lang: 'en' });
   const url = `https://photon.komoot.io/api/?${params}`;
   try {
-    const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    const res = await http.fetch(url, { headers: { 'Accept': 'application/json' } });
     const text = await res.text();
     if (logFirst) console.log('Photon:', res.status, '| length:', text.length);
     const data = JSON.parse(text);
@@ -97,60 +100,93 @@ async function main() {
     rows = Array.isArray(data) ? data : (data.bars || data.data || []);
     console.log('Rows from JSON:', rows.length);
   } else if (!isJson && fs.existsSync(INPUT_PATH)) {
-    const csvText = fs.readFileSync(INPUT_PATH, 'utf8');
-    rows = parseCSV(csvText);
+    const csv = BarsCsv.parseCSV(fs.readFileSync(INPUT_PATH, 'utf8'));
+    rows = csv.rows;
     console.log('Rows from CSV:', rows.length);
+    const ignored = BarsCsv.unknownColumns(csv.header);
+    if (ignored.length) console.warn('Ignoring unknown columns:', ignored.join(', '));
   } else {
     console.error('Input not found:', INPUT_PATH);
     process.exit(1);
   }
 
-  console.log('Geocoding with Photon (Komoot)...');
+  const districts = JSON.parse(fs.readFileSync(DISTRICTS_PATH, 'utf8'));
+  const existingList = readExistingBars(OUT_PATH);
+  const existing = new Map(existingList.map(b => [b.id, b]));
+  console.log('Geocoding new and moved bars with Photon (Komoot)...');
   const coordCache = new Map();
-  const bars = [];
+  const merged = new Map();
+  let geocoded = 0;
   for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const location = (row.correct_address || row.location || row.address || '').trim().replace(/^"|"$/g, '');
-    const barName = (row.bar_name || row.name || 'Unknown').replace(/^"|"$/g, '');
-    let lat = row.lat != null ? parseFloat(String(row.lat).replace(',', '.')) : null;
-    let lng = row.lng != null ? parseFloat(String(row.lng).replace(',', '.')) : null;
+    const fields = BarsCsv.rowToFields(rows[i]);
+    const barName = fields.bar_name || 'Unknown';
+    const id = fields.id || slugify(barName);
+    if (merged.has(id)) {
+      console.warn(`Row ${i + 2}: duplicate id "${id}" – skipped`);
+      continue;
+    }
+    fields.id = id;
+    fields.bar_name = barName;
+    // The verified address replaces the old one
+    if (fields.correct_address) fields.location = fields.correct_address;
+    const prev = existing.get(id);
+    const bar = BarsCsv.mergeBar(prev, fields);
 
-    if (location && location.length > 2 && !/^null$/i.test(location)) {
-      const key = addressKey(location);
+    const address = (bar.correct_address || bar.location || '').trim();
+    const prevAddress = prev ? (prev.correct_address || prev.location || '').trim() : '';
+    const coordsEdited = prev && (bar.lat !== prev.lat || bar.lng !== prev.lng);
+    const moved = prev && address !== prevAddress && !coordsEdited;
+    if (address.length > 2 && !/^null$/i.test(address) && (REGEOCODE || bar.lat == null || bar.lng == null || moved)) {
+      const key = addressKey(address);
       if (!coordCache.has(key)) {
         const logFirst = coordCache.size === 0;
-        const center = await geocodePhoton(location, logFirst);
-        if (center) coordCache.set(key, { lng: center[0], lat: center[1] });
+        const center = await geocodePhoton(address, logFirst);
+        coordCache.set(key, center ? { lng: center[0], lat: center[1] } : null);
         await new Promise(r => setTimeout(r, 250));
       }
       const cached = coordCache.get(key);
-      if (cached) { lng = cached.lng; lat = cached.lat; }
+      if (cached) {
+        bar.lng = cached.lng;
+        bar.lat = cached.lat;
+        geocoded++;
+      }
     }
+    // Outside every outline the district stays what it was
+    const district = Districts.districtAt(districts, bar.lat, bar.lng);
+    if (district) bar.district = district;
 
-    let opening_hours = row.opening_hours || null;
-    if (opening_hours && typeof opening_hours === 'string' && (opening_hours.startsWith('{') || opening_hours.startsWith('"'))) {
-      try { opening_hours = JSON.parse(opening_hours.replace(/^"|"$/g, '').replace(/""/g, '"')); } catch (_) {}
+    // price stays the cheapest beer; fill it from the menu when the column is empty
+    const beer = Menu.cheapest(Menu.parse(bar.menu), 'beer');
+    if (bar.price == null && beer) bar.price = beer.price;
+    // An unchanged price is no news – only new bars and new prices start or extend the history
+    if (!prev || bar.price !== prev.price) {
+      const history = PriceHistory.addPrice(bar.price_history, bar.price, { source: 'manual' });
+      if (history.length) bar.price_history = history;
     }
+    merged.set(id, bar);
+    if ((i + 1) % 15 === 0) console.log('Processed', i + 1, '/', rows.length, '| geocoded:', geocoded);
+  }
 
-    const correctAddr = (row.correct_address || '').trim().replace(/^"|"$/g, '') || null;
-    const outAddress = correctAddr || (row.location || row.address || '').trim().replace(/^"|"$/g, '') || null;
-    const barEntry = {
-      id: row.id || barName.toLowerCase().replace(/\s+/g, '-'),
-      bar_name: barName,
-      location: outAddress || null,
-      lat: lat,
-      lng: lng,
-      price: row.price != null ? parseInt(row.price, 10) : null,
-      opening_hours: opening_hours,
-      dance_floor: (row.dance_floor || 'unknown').toLowerCase(),
-      dance_notes: row.dance_notes || null,
-      last_updated: row.last_updated || null
-    };
-    if (correctAddr) barEntry.correct_address = correctAddr;
-    bars.push(barEntry);
-    if ((i + 1) % 15 === 0) console.log('Processed', i + 1, '/', rows.length, '| unique addresses geocoded:', coordCache.size);
+  const bars = [...merged.values()];
+  const missing = existingList.filter(b => !merged.has(b.id));
+  if (missing.length && !PRUNE) {
+    bars.push(...missing);
+    console.log(`Kept ${missing.length} bar(s) that are not in the input (--prune drops them):`, missing.map(b => b.id).join(', '));
   }
 
+  const changes = BarsCsv.diffBars(existingList, bars);
+  const count = (type) => changes.filter(c => c.type === type).length;
+  console.log('');
+  BarsCsv.formatDiff(changes).forEach(line => console.log(line));
+  console.log(`${changes.length ? '\n' : ''}${count('added')} added, ${count('changed')} changed, ${count('removed')} removed (${geocoded} geocoded)`);
+  if (DRY_RUN) {
+    console.log('Dry run – bars.json not written.');
+    return;
+  }
+  if (!changes.length) {
+    console.log('Nothing changed – bars.json not written.');
+    return;
+  }
   fs.writeFileSync(OUT_PATH, JSON.stringify(bars, null, 2), 'utf8');
   console.log('Wrote', OUT_PATH, 'with', bars.length, 'bars');
   const withCoords = bars.filter(b => b.lat != null && b.lng != null);
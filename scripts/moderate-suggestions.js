@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+/**
+ * Moderates crowd-sourced price suggestions (the Supabase "suggestions" table that
+ * submitSuggestion() in index.html writes to) and applies approved prices to bars.json.
+ *
+ * Usage:
+ *   node scripts/moderate-suggestions.js [bars.json]            review each bar interactively
+ *   node scripts/moderate-suggestions.js --list                 print pending suggestions only
+ *   node scripts/moderate-suggestions.js --auto                 apply only clear-cut cases (for cron/CI)
+ *   options: --dry-run (change nothing), --reviewer <name> (default MODERATOR or the OS user)
+ *
+ * Pending suggestions are grouped by bar_id and each one is checked against the bar's
+ * current price and the other reports for that bar; outliers are flagged. Approving a
+ * price writes price, price_history, last_updated and price_reports to the bar in bars.json, marks the
+ * suggestions approved/rejected in Supabase (status, reviewed_at, reviewed_by,
+ * applied_price) and appends an entry per change to data/price-audit.jsonl, so who changed
+ * what stays in git next to the data. Each entry lists every decided report with its
+ * submitted_at and status; index.html reads that to tell a visitor what became of theirs. --auto approves a bar only when at least
+ * AUTO_MIN_REPORTS non-outlier reports agree within AGREE_RATIO.
+ *
+ * Requires in .env (or environment):
+ *   SUPABASE_URL              – falls back to env-config.js
+ *   SUPABASE_SERVICE_ROLE_KEY – service key; the anon key may not read or update other users' rows
+ * and the review columns on the table (see DATA.md, "Price suggestions").
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const PriceHistory = require('../lib/price-history');
+const BarNormalize = require('../lib/bar-normalize');
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+const positional = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--reviewer');
+
+const BARS_PATH = positional[0]
+  ? path.resolve(process.cwd(), positional[0])
+  : path.resolve(__dirname, '../bars.json');
+const AUDIT_PATH = path.resolve(__dirname, '../data/price-audit.jsonl');
+
+// Same bounds as the suggestion form in index.html
+const MIN_PRICE = 20;
+const MAX_PRICE = 500;
+// A report this far from the current price, or from the other reports for the bar, is flagged
+const OUTLIER_VS_CURRENT = 0.5;
+const OUTLIER_VS_OTHERS = 0.25;
+// Reports within this ratio of the applied price count as agreeing with it
+const AGREE_RATIO = 0.1;
+const AUTO_MIN_REPORTS = 2;
+
+function getEnvKey(name) {
+  if (process.env[name]) return process.env[name].trim();
+  const envPath = path.resolve(__dirname, '../.env');
+  if (fs.existsSync(envPath)) {
+    const env = fs.readFileSync(envPath, 'utf8');
+    for (const line of env.split(/\r?\n/)) {
+      const trimmed = line.replace(/\s*#.*$/, '').trim();
+      if (!trimmed.startsWith(name)) continue;
+      const afterKey = trimmed.slice(name.length).replace(/^\s*=\s*/, '');
+      let val = afterKey.trim().replace(/\s*;+\s*$/, '');
+      if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'")))
+        val = val.slice(1, -1);
+      if (val) return val.trim();
+    }
+  }
+  return '';
+}
+
+// env-config.js is the browser's config module (export const SUPABASE_URL = "...")
+function getSupabaseUrl() {
+  const fromEnv = getEnvKey('SUPABASE_URL');
+  if (fromEnv) return fromEnv;
+  const configPath = path.resolve(__dirname, '../env-config.js');
+  if (!fs.existsSync(configPath)) return '';
+  const m = fs.readFileSync(configPath, 'utf8').match(/SUPABASE_URL\s*=\s*['"`]([^'"`]+)['"`]/);
+  return m ? m[1].trim() : '';
+}
+
+function createSuggestionsClient(url, key) {
+  const base = `${url.replace(/\/+$/, '')}/rest/v1/suggestions`;
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' };
+
+  async function request(query, init = {}) {
+    const res = await fetch(`${base}?${query}`, { ...init, headers: { ...headers, ...init.headers } });
+    if (!res.ok) throw new Error(`Supabase ${init.method || 'GET'} suggestions failed: ${res.status} ${await res.text()}`);
+    return res.status === 204 ? null : res.json();
+  }
+
+  return {
+    // Rows from before the status column existed have status null
+    pending() {
+      return request('select=*&or=(status.is.null,status.eq.pending)&order=submitted_at.asc');
+    },
+    review(ids, fields) {
+      return request(`id=in.(${ids.join(',')})`, {
+        method: 'PATCH',
+        headers: { Prefer: 'return=minimal' },
+        body: JSON.stringify(fields),
+      });
+    },
+  };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function relativeDiff(a, b) {
+  return Math.abs(a - b) / b;
+}
+
+function flagsFor(price, current, groupPrices) {
+  const flags = [];
+  if (!Number.isFinite(price) || price < MIN_PRICE || price > MAX_PRICE) flags.push(`outside ${MIN_PRICE}–${MAX_PRICE} kr`);
+  if (current && relativeDiff(price, current) > OUTLIER_VS_CURRENT) {
+    flags.push(`${Math.round(relativeDiff(price, current) * 100)}% ${price > current ? 'above' : 'below'} current ${current} kr`);
+  }
+  // With three or more reports the median is a fair consensus to compare against
+  if (groupPrices.length >= 3) {
+    const m = median(groupPrices);
+    if (relativeDiff(price, m) > OUTLIER_VS_OTHERS) flags.push(`far from other reports (median ${m} kr)`);
+  }
+  return flags;
+}
+
+/**
+ * Pending suggestions -> one group per bar:
+ * { barId, bar, current, items: [{ row, price, flags }], proposal }
+ * where proposal is the rounded median of the unflagged reports (null when all are flagged).
+ */
+function groupSuggestions(rows, bars) {
+  const byBar = new Map();
+  for (const row of rows) {
+    if (!byBar.has(row.bar_id)) byBar.set(row.bar_id, []);
+    byBar.get(row.bar_id).push(row);
+  }
+  return [...byBar.entries()].map(([barId, list]) => {
+    const bar = bars.find((b) => BarNormalize.barId(b) === barId) || null;
+    const current = bar ? BarNormalize.toNumber(BarNormalize.field(bar, 'cheapest_beer_sek')) : null;
+    const prices = list.map((row) => Number(row.suggested_price));
+    const items = list.map((row, i) => ({
+      row,
+      price: prices[i],
+      flags: flagsFor(prices[i], current, prices),
+    }));
+    if (!bar) items.forEach((item) => item.flags.push('unknown bar_id'));
+    const clean = items.filter((item) => !item.flags.length).map((item) => item.price);
+    return { barId, bar, current, items, proposal: clean.length ? Math.round(median(clean)) : null };
+  });
+}
+
+function agreesWith(price, applied) {
+  return relativeDiff(price, applied) <= AGREE_RATIO;
+}
+
+// Clear-cut for --auto: enough unflagged reports, all close to the proposal
+function autoDecision(group) {
+  if (!group.bar || group.proposal == null) return null;
+  const clean = group.items.filter((item) => !item.flags.length);
+  if (clean.length < AUTO_MIN_REPORTS || !clean.every((item) => agreesWith(item.price, group.proposal))) return null;
+  return group.proposal;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+// What the app matches a visitor's own report against: it knows the bar and when it sent it, not the id
+function reportOutcomes(items, status) {
+  return items.map((item) => ({ id: item.row.id, submitted_at: item.row.submitted_at, status }));
+}
+
+/**
+ * Sets the bar's price from the approved reports and returns the audit entries.
+ * Reports agreeing with `price` are approved, the rest of the group rejected.
+ */
+function applyPrice(group, price, reviewer, now) {
+  const approved = group.items.filter((item) => agreesWith(item.price, price));
+  const rejected = group.items.filter((item) => !approved.includes(item));
+  const bar = group.bar;
+  const before = { price: bar.price ?? null, cheapest_beer_name: bar.cheapest_beer_name ?? null, last_updated: bar.last_updated ?? null };
+
+  bar.price_history = PriceHistory.addPrice(bar.price_history, price, { date: now, source: 'suggestion', observed: true });
+  bar.price = price;
+  const beer = mostCommon(approved.map((item) => (item.row.beer_name || '').trim()).filter(Boolean));
+  if (beer) bar.cheapest_beer_name = beer;
+  bar.last_updated = now;
+  if (approved.length) bar.price_reports = approved.length;
+  else delete bar.price_reports;
+
+  const after = { price: bar.price, cheapest_beer_name: bar.cheapest_beer_name ?? null, last_updated: now };
+  const changes = Object.keys(after)
+    .filter((field) => before[field] !== after[field])
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+  return {
+    approved,
+    rejected,
+    audit: {
+      at: now,
+      reviewer,
+      bar_id: group.barId,
+      action: 'price_update',
+      changes,
+      approved_suggestions: approved.map((item) => item.row.id),
+      rejected_suggestions: rejected.map((item) => item.row.id),
+      reports: [...reportOutcomes(approved, 'approved'), ...reportOutcomes(rejected, 'rejected')],
+    },
+  };
+}
+
+function describeGroup(group) {
+  const name = group.bar ? BarNormalize.barName(group.bar) : group.items[0].row.bar_name || '?';
+  const lines = [`\n${name} (${group.barId}) – current ${group.current != null ? group.current + ' kr' : 'unknown'}`];
+  for (const item of group.items) {
+    const when = String(item.row.submitted_at || '').slice(0, 10);
+    const beer = item.row.beer_name ? ` ${item.row.beer_name}` : '';
+    const flags = item.flags.length ? `  ⚠ ${item.flags.join('; ')}` : '';
+    lines.push(`  #${item.row.id}  ${item.price} kr${beer}  ${when}${flags}`);
+  }
+  lines.push(`  proposal: ${group.proposal != null ? group.proposal + ' kr' : 'none (every report is flagged)'}`);
+  return lines.join('\n');
+}
+
+// Reads answers from an async line iterator, so piped input is not lost between questions
+async function prompt(lines, question) {
+  process.stdout.write(question);
+  const { value, done } = await lines.next();
+  return done ? 'q' : value.trim();
+}
+
+// "a" apply proposal, "p 75" apply 75, "r" reject all, "s" skip, "q" quit
+async function askDecision(lines, group) {
+  for (;;) {
+    const choices = [group.proposal != null && group.bar ? `[a]pply ${group.proposal} kr` : null, group.bar ? '[p]rice <kr>' : null, '[r]eject all', '[s]kip', '[q]uit'];
+    const answer = (await prompt(lines, `${choices.filter(Boolean).join(' / ')} > `)).toLowerCase();
+    if (answer === 'a' && group.proposal != null && group.bar) return { price: group.proposal };
+    const custom = answer.match(/^p\s*(\d+)$/);
+    if (custom && group.bar) {
+      const price = Number(custom[1]);
+      if (price >= MIN_PRICE && price <= MAX_PRICE) return { price };
+      console.log(`Price must be ${MIN_PRICE}–${MAX_PRICE} kr.`);
+      continue;
+    }
+    if (answer === 'r') return { reject: true };
+    if (answer === 's' || answer === '') return null;
+    if (answer === 'q') return { quit: true };
+  }
+}
+
+async function main() {
+  const dryRun = flag('--dry-run');
+  const auto = flag('--auto');
+  const listOnly = flag('--list');
+  const reviewer = option('--reviewer') || getEnvKey('MODERATOR') || os.userInfo().username;
+
+  const url = getSupabaseUrl();
+  const key = getEnvKey('SUPABASE_SERVICE_ROLE_KEY');
+  if (!url || !key) {
+    console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in .env or the environment.');
+    process.exit(1);
+  }
+  const client = createSuggestionsClient(url, key);
+
+  const raw = JSON.parse(fs.readFileSync(BARS_PATH, 'utf8'));
+  const bars = Array.isArray(raw) ? raw : raw.bars || raw.data || [];
+  const rows = await client.pending();
+  const groups = groupSuggestions(rows, bars);
+  console.log(`${rows.length} pending suggestion(s) for ${groups.length} bar(s)`);
+
+  if (listOnly) {
+    groups.forEach((group) => console.log(describeGroup(group)));
+    return;
+  }
+
+  const rl = auto ? null : readline.createInterface({ input: process.stdin });
+  const lines = rl && rl[Symbol.asyncIterator]();
+  const audit = [];
+  // Each decision goes to bars.json and the audit log before Supabase is told, so a failed
+  // update leaves its reports pending (to moderate again), never approved but not applied
+  const record = (entry, barsChanged) => {
+    audit.push(entry);
+    if (dryRun) return;
+    if (barsChanged) fs.writeFileSync(BARS_PATH, JSON.stringify(raw, null, 2), 'utf8');
+    fs.mkdirSync(path.dirname(AUDIT_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_PATH, JSON.stringify(entry) + '\n', 'utf8');
+  };
+  let applied = 0;
+  let rejectedCount = 0;
+  try {
+    for (const group of groups) {
+      let decision;
+      if (auto) {
+        const price = autoDecision(group);
+        decision = price != null ? { price } : null;
+      } else {
+        console.log(describeGroup(group));
+        decision = await askDecision(lines, group);
+      }
+      if (!decision) continue;
+      if (decision.quit) break;
+      const now = new Date().toISOString();
+      const review = { reviewed_at: now, reviewed_by: auto ? `${reviewer} (auto)` : reviewer };
+
+      if (decision.reject) {
+        const ids = group.items.map((item) => item.row.id);
+        record({
+          at: now,
+          reviewer: review.reviewed_by,
+          bar_id: group.barId,
+          action: 'reject',
+          changes: [],
+          approved_suggestions: [],
+          rejected_suggestions: ids,
+          reports: reportOutcomes(group.items, 'rejected'),
+        }, false);
+        if (!dryRun) await client.review(ids, { ...review, status: 'rejected' });
+        rejectedCount += ids.length;
+        console.log(`Rejected ${ids.length} report(s).`);
+        continue;
+      }
+
+      const result = applyPrice(group, decision.price, review.reviewed_by, now);
+      record(result.audit, true);
+      if (!dryRun) {
+        if (result.approved.length) await client.review(result.approved.map((item) => item.row.id), { ...review, status: 'approved', applied_price: decision.price });
+        if (result.rejected.length) await client.review(result.rejected.map((item) => item.row.id), { ...review, status: 'rejected', applied_price: decision.price });
+      }
+      applied++;
+      rejectedCount += result.rejected.length;
+      console.log(`${group.barId}: ${group.current ?? '—'} → ${decision.price} kr (${result.approved.length} approved, ${result.rejected.length} rejected)`);
+    }
+  } finally {
+    if (rl) rl.close();
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: would update ${applied} bar(s) and reject ${rejectedCount} report(s); nothing written.`);
+    return;
+  }
+  if (applied) console.log('Wrote', BARS_PATH);
+  if (audit.length) console.log(`Logged ${audit.length} decision(s) to ${path.relative(process.cwd(), AUDIT_PATH)}`);
+  console.log(`Done. Bars updated: ${applied} | Reports rejected: ${rejectedCount}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
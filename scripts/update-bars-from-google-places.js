@@ -5,11 +5,21 @@
  *
  * Usage:
  *   GOOGLE_PLACES_API_KEY=your_key node scripts/update-bars-from-google-places.js [bars-info.csv|bars.json]
+ *   options: --only <id>, --dry-run, --concurrency <n>, --max-age <days> (see lib/enrich.js)
  *
- * Reads bars from bars-info.csv or bars.json. For each bar, calls Places API with
- * "{bar_name}, Södermalm, Stockholm" and locationbias to Södermalm. Uses the first
- * candidate's formatted_address and geometry. Writes bars.json; optionally
- * writes bars-info-updated.csv with correct_address filled.
+ * Reads bars from bars-info.csv or bars.json and merges them into the existing bars.json
+ * by id (lib/bars-csv.js). For each bar, calls Places API with "{bar_name}, Södermalm,
+ * Stockholm" and locationbias to Södermalm, then Place Details for photo and rating. Uses
+ * the first candidate's formatted_address and geometry. Writes bars.json and
+ * bars-info-updated.csv with correct_address filled.
+ *
+ * Runs are incremental: only bars that are new, renamed or last looked up more than
+ * --max-age days ago are looked up; the rest keep what bars.json has. Responses and
+ * progress are kept in .cache/ (lib/enrich.js), so a stopped run picks up where it was.
+ * Ends with the fields that changed per bar and how many requests were made. Each bar's
+ * price_history (lib/price-history.js) gets an entry when its price changed.
+ *
+ * HTTP_MODE=record|replay records or replays the API calls as fixtures (lib/http-client.js).
  *
  * Requires: Google Cloud project with Places API (Legacy) enabled and an API key.
  * Billing must be enabled; Find Place has a free tier. Add GOOGLE_PLACES_API_KEY
@@ -18,13 +28,28 @@
 
 const fs = require('fs');
 const path = require('path');
+const PriceHistory = require('../lib/price-history');
+const Menu = require('../lib/menu');
+const BarsCsv = require('../lib/bars-csv');
+const { slugify } = require('../lib/bar-normalize');
+const Enrich = require('../lib/enrich');
+const { httpClientFromEnv } = require('../lib/http-client');
 
-const inputArg = process.argv[2];
+let options;
+try {
+  options = Enrich.parseOptions(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const inputArg = options.positional[0];
 const INPUT_PATH = inputArg
   ? path.resolve(process.cwd(), inputArg)
   : path.resolve(__dirname, '../bars-info.csv');
 const OUT_JSON = path.resolve(__dirname, '../bars.json');
 const OUT_CSV = path.resolve(__dirname, '../bars-info-updated.csv');
+// Live unless HTTP_MODE says record or replay (lib/http-client.js)
+const http = httpClientFromEnv();
 
 // Södermalm center (approx), radius 2.5 km
 const SODERMALM_LAT = 59.317;
@@ -51,41 +76,6 @@ function getApiKey() {
   return '';
 }
 
-function parseCSVLine(line) {
-  const out = [];
-  let cur = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (c === '"') {
-      inQuotes = !inQuotes;
-    } else if ((c === ',' && !inQuotes) || (c === '\n' && !inQuotes)) {
-      out.push(cur.trim());
-      cur = '';
-      if (c === '\n') break;
-    } else {
-      cur += c;
-    }
-  }
-  if (cur.length) out.push(cur.trim());
-  return out;
-}
-
-function parseCSV(text) {
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const header = parseCSVLine(lines[0]);
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    const row = {};
-    header.forEach((h, j) => {
-      row[h] = values[j] ?? '';
-    });
-    rows.push(row);
-  }
-  return rows;
-}
-
 async function findPlaceFromText(apiKey, query) {
   const params = new URLSearchParams({
     input: query,
@@ -96,7 +86,7 @@ async function findPlaceFromText(apiKey, query) {
     language: 'sv',
   });
   const url = `https://maps.googleapis.com/maps/api/place/findplacefromtext/json?${params}`;
-  const res = await fetch(url);
+  const res = await http.fetch(url);
   const data = await res.json();
   if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
     const msg = data.error_message || data.status || 'Places API error';
@@ -120,8 +110,21 @@ async function findPlaceFromText(apiKey, query) {
   };
 }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+// Bars already in bars.json, in file order; the input is merged into them by id
+function readExistingBars(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const list = Array.isArray(data) ? data : (data.bars || data.data || []);
+    return list.filter((b) => b && b.id);
+  } catch (_) {
+    return [];
+  }
+}
+
+// The lookup only depends on the name; a renamed bar is looked up again
+function fingerprintOf(bar) {
+  return { name: bar.bar_name };
 }
 
 async function getPlaceDetails(apiKey, placeId) {
@@ -132,9 +135,9 @@ async function getPlaceDetails(apiKey, placeId) {
     language: 'en',
   });
   const url = `https://maps.googleapis.com/maps/api/place/details/json?${params}`;
-  const res = await fetch(url);
+  const res = await http.fetch(url);
   const data = await res.json();
-  if (data.status !== 'OK') return null;
+  if (data.status !== 'OK') throw new Error(data.error_message || data.status || 'Place Details error');
   const result = data.result || {};
   const photoRef = result.photos?.[0]?.photo_reference || null;
   const rating = result.rating != null ? Number(result.rating) : null;
@@ -155,6 +158,40 @@ function deriveVibes(row, rating) {
   return [...new Set(vibes)];
 }
 
+/** The fields Places sets on a bar, or null when the lookup failed (error already logged). */
+async function lookUpBar(run, apiKey, bar, report) {
+  const query = `${bar.bar_name}, Södermalm, Stockholm`;
+  let place;
+  try {
+    place = await run.cached(`findplace:${query}`, () => findPlaceFromText(apiKey, query));
+  } catch (e) {
+    report(e);
+    return null;
+  }
+  if (!place?.formatted_address || place.lat == null || place.lng == null) {
+    return { vibes: deriveVibes(bar, bar.rating) };
+  }
+
+  const patch = {
+    location: place.formatted_address,
+    correct_address: place.formatted_address,
+    lat: place.lat,
+    lng: place.lng,
+    place_id: place.place_id || null,
+  };
+  let details = null;
+  if (place.place_id) {
+    try {
+      details = await run.cached(`details:${place.place_id}`, () => getPlaceDetails(apiKey, place.place_id));
+    } catch (_) {}
+  }
+  patch.photo_reference = details?.photo_reference || bar.photo_reference || null;
+  patch.rating = details?.rating ?? bar.rating ?? null;
+  patch.review_count = details?.review_count ?? bar.review_count ?? null;
+  patch.vibes = deriveVibes(bar, details?.rating ?? null);
+  return patch;
+}
+
 async function main() {
   const apiKey = getApiKey();
   if (!apiKey) {
@@ -169,107 +206,76 @@ async function main() {
     rows = Array.isArray(data) ? data : (data.bars || data.data || []);
     console.log('Rows from JSON:', rows.length);
   } else if (!isJson && fs.existsSync(INPUT_PATH)) {
-    rows = parseCSV(fs.readFileSync(INPUT_PATH, 'utf8'));
+    rows = BarsCsv.parseCSV(fs.readFileSync(INPUT_PATH, 'utf8')).rows;
     console.log('Rows from CSV:', rows.length);
   } else {
     console.error('Input not found:', INPUT_PATH);
     process.exit(1);
   }
 
-  console.log('Looking up bars with Google Places API (Södermalm bias)...');
-  const bars = [];
-  let updated = 0;
+  const existingList = readExistingBars(OUT_JSON);
+  const existing = new Map(existingList.map((b) => [b.id, b]));
+  const merged = new Map();
+  for (let i = 0; i < rows.length; i++) {
+    const fields = BarsCsv.rowToFields(rows[i]);
+    const barName = fields.bar_name || 'Unknown';
+    const id = fields.id || slugify(barName);
+    if (merged.has(id)) {
+      console.warn(`Row ${i + 2}: duplicate id "${id}" – skipped`);
+      continue;
+    }
+    fields.id = id;
+    fields.bar_name = barName;
+    const prev = existing.get(id);
+    const bar = BarsCsv.mergeBar(prev, fields);
+    // price stays the cheapest beer; fill it from the menu when the column is empty
+    const beer = Menu.cheapest(Menu.parse(bar.menu), 'beer');
+    if (bar.price == null && beer) bar.price = beer.price;
+    // An unchanged price is no news – only new bars and new prices start or extend the history
+    if (!prev || bar.price !== prev.price) {
+      const history = PriceHistory.addPrice(bar.price_history, bar.price, { source: 'manual' });
+      if (history.length) bar.price_history = history;
+    }
+    merged.set(id, bar);
+  }
+  const bars = [...merged.values()];
+
+  const run = Enrich.createRun('places', options);
+  const { due, upToDate } = await run.select(bars, fingerprintOf);
+  for (const bar of upToDate) await run.apply(bar);
+  console.log(`Looking up ${due.length} of ${bars.length} bars with Google Places API (Södermalm bias, ${options.concurrency} at a time)...`);
+
   let failed = 0;
+  let done = 0;
   let invalidKeyReported = false;
-
-  for (let i = 0; i < rows.length; i++) {
-    const row = rows[i];
-    const barName = (row.bar_name || row.name || 'Unknown').replace(/^"|"$/g, '');
-    const query = `${barName}, Södermalm, Stockholm`;
-    let place = null;
-    try {
-      place = await findPlaceFromText(apiKey, query);
-      await sleep(350);
-    } catch (e) {
+  await Enrich.mapLimit(due, options.concurrency, async ({ bar }) => {
+    const patch = await lookUpBar(run, apiKey, bar, (e) => {
       if (e.code === 'INVALID_API_KEY' && !invalidKeyReported) {
         console.error('Google Places API key is invalid or Places API is not enabled. Check Google Cloud Console.');
         invalidKeyReported = true;
       }
-      console.error(`[${i + 1}/${rows.length}] ${barName}: ${e.message}`);
+      console.error(`${bar.id} (${bar.bar_name}): ${e.message}`);
+    });
+    if (patch) {
+      Object.assign(bar, patch);
+      await run.done(bar, patch, fingerprintOf);
+    } else {
       failed++;
     }
+    if (++done % 20 === 0) console.log(`Processed ${done}/${due.length}`);
+  });
 
-    const correctAddr = (row.correct_address || '').trim().replace(/^"|"$/g, '') || null;
-    const outAddress = correctAddr || (row.address || row.location || '').trim().replace(/^"|"$/g, '') || null;
-    let lat = row.lat != null ? parseFloat(String(row.lat).replace(',', '.')) : null;
-    let lng = row.lng != null ? parseFloat(String(row.lng).replace(',', '.')) : null;
-
-    if (place?.formatted_address && place.lat != null && place.lng != null) {
-      lat = place.lat;
-      lng = place.lng;
-      if (!correctAddr || correctAddr !== place.formatted_address) updated++;
-    }
-    const finalAddress = (place?.formatted_address || correctAddr || outAddress || '').trim() || null;
-
-    let photo_reference = null;
-    let placeRating = null;
-    let review_count = null;
-    if (place?.place_id) {
-      try {
-        const details = await getPlaceDetails(apiKey, place.place_id);
-        await sleep(200);
-        if (details) {
-          photo_reference = details.photo_reference || null;
-          placeRating = details.rating;
-          review_count = details.review_count ?? null;
-        }
-      } catch (_) {}
-    }
-
-    let opening_hours = row.opening_hours || null;
-    if (opening_hours && typeof opening_hours === 'string' && (opening_hours.startsWith('{') || opening_hours.startsWith('"'))) {
-      try {
-        opening_hours = JSON.parse(opening_hours.replace(/^"|"$/g, '').replace(/""/g, '"'));
-      } catch (_) {}
-    }
-
-    const barEntry = {
-      id: row.id || barName.toLowerCase().replace(/\s+/g, '-'),
-      bar_name: barName,
-      location: finalAddress || outAddress || null,
-      lat,
-      lng,
-      price: row.price != null ? parseInt(row.price, 10) : null,
-      opening_hours,
-      dance_floor: (row.dance_floor || 'unknown').toLowerCase(),
-      dance_notes: row.dance_notes || null,
-      last_updated: row.last_updated || null,
-      place_id: place?.place_id || null,
-      photo_reference: photo_reference || null,
-      rating: placeRating ?? row.rating ?? null,
-      review_count: review_count ?? row.review_count ?? null,
-      vibes: deriveVibes(row, placeRating),
-    };
-    if (place?.formatted_address) barEntry.correct_address = place.formatted_address;
-    bars.push(barEntry);
-
-    if ((i + 1) % 20 === 0) {
-      console.log(`Processed ${i + 1}/${rows.length} | updated so far: ${updated}`);
-    }
-  }
+  Enrich.printSummary({ before: existingList, after: bars, due, upToDate, failed, stats: run.stats, dryRun: options.dryRun });
+  if (options.dryRun) return;
 
   fs.writeFileSync(OUT_JSON, JSON.stringify(bars, null, 2), 'utf8');
   console.log('Wrote', OUT_JSON, 'with', bars.length, 'bars');
+  await run.commit(bars);
   const withCoords = bars.filter((b) => b.lat != null && b.lng != null);
-  console.log('Bars with coordinates:', withCoords.length, '| addresses updated from Places:', updated, '| failed lookups:', failed);
+  console.log('Bars with coordinates:', withCoords.length);
 
-  // Optional: write CSV with correct_address for bars we got from Places
-  const csvHeader = 'id,bar_name,address,correct_address,lat,lng,price,opening_hours,dance_floor,dance_notes,last_updated';
-  const csvRows = bars.map((b) => {
-    const escape = (v) => (v == null ? '' : String(v).includes(',') || String(v).includes('"') ? `"${String(v).replace(/"/g, '""')}"` : v);
-    return [b.id, b.bar_name, b.location || '', (b.correct_address || ''), b.lat ?? '', b.lng ?? '', b.price ?? '', b.opening_hours ?? '', b.dance_floor ?? '', b.dance_notes ?? '', b.last_updated ?? ''].map(escape).join(',');
-  });
-  fs.writeFileSync(OUT_CSV, [csvHeader, ...csvRows].join('\n'), 'utf8');
+  // Same columns as bars-info.csv, with correct_address filled for bars found in Places
+  fs.writeFileSync(OUT_CSV, BarsCsv.toCSV(bars), 'utf8');
   console.log('Wrote', OUT_CSV, '(use as bars-info.csv after review).');
 }
 
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Checks bars.json before it is deployed: against the JSON Schema in bars.schema.json,
+ * then for mistakes a schema cannot see.
+ *
+ * Usage:
+ *   node scripts/validate-bars.js [bars.json]     defaults to ../bars.json
+ *   options: --strict (warnings fail too)
+ *
+ * Errors: schema violations, duplicate ids, coordinates outside Stockholm, STACKED_ERROR_COUNT
+ * or more bars on the same spot, mood slugs not in lib/moods.js.
+ * Warnings: duplicate names, missing coordinates, two bars on the same spot, prices outside
+ * SUSPICIOUS_MIN_PRICE–SUSPICIOUS_MAX_PRICE, a happy hour that is not cheaper, opening or
+ * happy hours lib/opening-hours.js cannot read, a district that data/districts.geojson puts
+ * elsewhere.
+ * Prints one line per problem and exits 1 when there are errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpeningHours = require('../lib/opening-hours');
+const HappyHours = require('../lib/happy-hours');
+const { MOODS } = require('../lib/moods');
+const Districts = require('../lib/districts');
+const { field, barName, barId } = require('../lib/bar-normalize');
+
+const args = process.argv.slice(2);
+const STRICT = args.includes('--strict');
+const positional = args.filter((a) => !a.startsWith('--'));
+const BARS_PATH = positional[0] ? path.resolve(process.cwd(), positional[0]) : path.resolve(__dirname, '../bars.json');
+const SCHEMA_PATH = path.resolve(__dirname, '../bars.schema.json');
+const DISTRICTS_PATH = path.resolve(__dirname, '../data/districts.geojson');
+
+// Same box index.html uses to drop coordinates that cannot be right
+const STOCKHOLM = { south: 59.28, north: 59.45, west: 17.9, east: 18.25 };
+const SUSPICIOUS_MIN_PRICE = 25;
+const SUSPICIOUS_MAX_PRICE = 150;
+// Coordinates are compared at 5 decimals (about a metre)
+const STACK_DECIMALS = 5;
+const STACKED_ERROR_COUNT = 3;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $ref is supported: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * The part of JSON Schema bars.schema.json uses: type, enum, required, properties,
+ * additionalProperties, items, minItems, minimum/maximum/exclusiveMinimum, minLength,
+ * pattern, anyOf and local $ref. Returns [{ path, message }].
+ */
+function validateSchema(schema, value, at = '', root = schema) {
+  if (schema.$ref) return validateSchema(resolveRef(root, schema.$ref), value, at, root);
+  const errors = [];
+  const fail = (message) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value) === 'integer' ? 'number' : typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}`);
+  if (schema.anyOf && !schema.anyOf.some((s) => validateSchema(s, value, at, root).length === 0)) {
+    const needs = schema.anyOf.map((s) => (s.required ? s.required.join(' + ') : 'an alternative')).join(' or ');
+    fail(`needs ${needs}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) fail(`must be more than ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail('must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`"${value}" does not match ${schema.pattern}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`needs at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`, root)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing ${key}`);
+    }
+    const props = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      const where = at ? `${at}.${key}` : key;
+      if (props[key]) errors.push(...validateSchema(props[key], item, where, root));
+      else if (schema.additionalProperties === false) errors.push({ path: where, message: 'unknown field (see BARS-FILE.md for the accepted names)' });
+      else if (typeof schema.additionalProperties === 'object') errors.push(...validateSchema(schema.additionalProperties, item, where, root));
+    }
+  }
+  return errors;
+}
+
+function groupBy(bars, keyOf) {
+  const groups = new Map();
+  bars.forEach((bar, i) => {
+    const key = keyOf(bar, i);
+    if (key == null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+/** Problems in a parsed bars.json: [{ level: 'error' | 'warning', check, index, message }]. */
+function lintBars(bars, schema, districts) {
+  const issues = [];
+  const report = (level, check, index, message) => issues.push({ level, check, index, message });
+
+  for (const e of validateSchema(schema, bars)) {
+    const m = e.path.match(/^\[(\d+)\]\.?(.*)$/);
+    report('error', 'schema', m ? Number(m[1]) : null, m ? `${m[2] || 'bar'}: ${e.message}` : `${e.path || 'file'}: ${e.message}`);
+  }
+  if (!Array.isArray(bars)) return issues;
+  const list = bars.map((bar) => (bar && typeof bar === 'object' && !Array.isArray(bar) ? bar : {}));
+  const label = (i) => `"${barName(list[i]) || barId(list[i]) || '?'}"`;
+
+  for (const group of groupBy(list, barId)) {
+    group.forEach((i) => report('error', 'duplicate-id', i, `id "${barId(list[i])}" is also used by ${group.filter((j) => j !== i).map(label).join(', ')}`));
+  }
+  for (const group of groupBy(list, (bar) => (barName(bar) ? String(barName(bar)).trim().toLowerCase() : null))) {
+    // Same id is reported above; this is for chains or copies under a new id
+    if (new Set(group.map((i) => barId(list[i]))).size < 2) continue;
+    report('warning', 'duplicate-name', group[0], `${group.length} bars are called ${label(group[0])}: ${group.map((i) => barId(list[i])).join(', ')}`);
+  }
+
+  const coords = list.map((bar) => {
+    // Raw values: a coordinate stored as text is a schema error, not a position
+    const lat = field(bar, 'lat');
+    const lng = field(bar, 'lng');
+    return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+  });
+  coords.forEach((c, i) => {
+    if (!c) report('warning', 'coordinates', i, 'no coordinates – not shown on the map');
+    else if (c.lat < STOCKHOLM.south || c.lat > STOCKHOLM.north || c.lng < STOCKHOLM.west || c.lng > STOCKHOLM.east) {
+      report('error', 'coordinates', i, `${c.lat}, ${c.lng} is outside Stockholm`);
+    }
+  });
+  const spot = (bar, i) => (coords[i] ? `${coords[i].lat.toFixed(STACK_DECIMALS)},${coords[i].lng.toFixed(STACK_DECIMALS)}` : null);
+  for (const group of groupBy(list, spot)) {
+    const c = coords[group[0]];
+    const level = group.length >= STACKED_ERROR_COUNT ? 'error' : 'warning';
+    const address = field(list[group[0]], 'address');
+    report(level, 'stacked', group[0], `${group.length} bars share ${c.lat}, ${c.lng}${address ? ` (${address})` : ''}: ${group.map(label).join(', ')} – geocoding probably fell back to one address`);
+  }
+
+  coords.forEach((c, i) => {
+    const district = field(list[i], 'district');
+    const found = c ? Districts.districtAt(districts, c.lat, c.lng) : null;
+    if (district != null && found && found !== district) report('warning', 'district', i, `district "${district}" but the coordinates are in ${found}`);
+  });
+
+  list.forEach((bar, i) => {
+    const price = field(bar, 'cheapest_beer_sek');
+    if (typeof price === 'number' && (price < SUSPICIOUS_MIN_PRICE || price > SUSPICIOUS_MAX_PRICE)) {
+      report('warning', 'price', i, `${price} kr for the cheapest beer looks wrong (expected ${SUSPICIOUS_MIN_PRICE}–${SUSPICIOUS_MAX_PRICE})`);
+    }
+
+    const hours = field(bar, 'opening_hours');
+    if (hours != null && !OpeningHours.hasHours(OpeningHours.parse(hours))) {
+      report('warning', 'hours', i, `opening hours ${JSON.stringify(typeof hours === 'string' ? hours : JSON.stringify(hours))} cannot be read – the app shows them as text only`);
+    }
+    const happy = field(bar, 'happy_hours');
+    if (Array.isArray(happy)) {
+      const windows = HappyHours.parse(happy);
+      if (windows.length < happy.length) report('warning', 'hours', i, `${happy.length - windows.length} happy hour(s) cannot be read`);
+      for (const w of windows) {
+        if (typeof price === 'number' && w.price >= price) report('warning', 'price', i, `happy hour "${w.hours}" (${w.price} kr) is not cheaper than ${price} kr`);
+      }
+    }
+
+    const moods = bar.moods;
+    if (Array.isArray(moods)) {
+      const unknown = moods.filter((m) => typeof m === 'string' && !MOODS.includes(m));
+      if (unknown.length) report('error', 'moods', i, `unknown mood${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (known: ${MOODS.join(', ')})`);
+    }
+  });
+  return issues;
+}
+
+function main() {
+  let bars;
+  try {
+    bars = JSON.parse(fs.readFileSync(BARS_PATH, 'utf8'));
+  } catch (e) {
+    console.error(`${path.relative(process.cwd(), BARS_PATH)}: ${e.code === 'ENOENT' ? 'not found' : e.message}`);
+    process.exit(1);
+  }
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const districts = JSON.parse(fs.readFileSync(DISTRICTS_PATH, 'utf8'));
+  const issues = lintBars(bars, schema, districts);
+
+  const order = { error: 0, warning: 1 };
+  issues.sort((a, b) => order[a.level] - order[b.level] || (a.index ?? -1) - (b.index ?? -1));
+  for (const issue of issues) {
+    const where = issue.index != null ? `[${issue.index}] ${barId(bars[issue.index] || {}) || '?'}` : 'file';
+    console.log(`${issue.level.padEnd(7)} ${issue.check.padEnd(14)} ${where}: ${issue.message}`);
+  }
+  const errors = issues.filter((i) => i.level === 'error').length;
+  const warnings = issues.length - errors;
+  const count = Array.isArray(bars) ? bars.length : 0;
+  console.log(`${issues.length ? '\n' : ''}${path.relative(process.cwd(), BARS_PATH)}: ${count} bars, ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  if (errors || (STRICT && warnings)) process.exit(1);
+}
+
+main();
@@ -1,7 +1,10 @@
 /**
- * Local dev server: serves static files and POST /api/bar-chat (OpenAI bar matching).
+ * Local dev server: serves static files and POST /api/bar-chat (LLM bar matching, see lib/bar-chat.js).
  * Run: node server.js   then open http://localhost:3000
- * Requires OPENAI_API_KEY in .env (or env).
+ * OPENAI_API_KEY (or LLM_* settings, see lib/llm-provider.js) in .env is optional: without it
+ * bar-chat answers from the local ranker only. LLM_PROVIDER=mock runs without any model.
+ * Answers are cached and rate limited per IP; cross-site callers need CORS_ORIGINS (see lib/guard.js).
+ * "stream": true in the body switches the reply to NDJSON events (see lib/bar-chat.js).
  */
 
 // Load .env if present (no extra deps)
@@ -18,77 +21,21 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 
-const PORT = process.env.PORT || 3000;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
-
-function loadBars() {
-  const p = path.join(__dirname, 'bars.json');
-  const raw = fs.readFileSync(p, 'utf8');
-  const data = JSON.parse(raw);
-  return Array.isArray(data) ? data : (data.bars || data.data || []);
-}
-
-function buildBarSummary(bars) {
-  return bars.map((b) => {
-    const name = b.bar_name || b.name || 'Unknown';
-    const id = b.id || name.toLowerCase().replace(/\s+/g, '-');
-    const vibes = Array.isArray(b.vibes) ? b.vibes.join(', ') : (b.vibes || '');
-    const dance = b.dance_floor || 'unknown';
-    const danceNotes = b.dance_notes || '';
-    const price = b.price != null ? `${b.price} kr` : 'unknown';
-    const hours = typeof b.opening_hours === 'string' ? b.opening_hours : (b.opening_hours ? JSON.stringify(b.opening_hours) : '');
-    return { id, name, vibes, dance, danceNotes, price, hours };
-  });
-}
-
-async function callOpenAI(apiKey, barSummary, userMessage) {
-  const barListText = barSummary
-    .map(
-      (b) =>
-        `- id: "${b.id}" | name: "${b.name}" | vibes: ${b.vibes || 'none'} | dance_floor: ${b.dance} ${b.danceNotes ? '| ' + b.danceNotes : ''} | beer: ${b.price} | hours: ${b.hours || 'unknown'}`
-    )
-    .join('\n');
-
-  const systemPrompt = `You are a helpful assistant for a Stockholm bar map. You ONLY recommend bars from the list below. Match the user's request to bar ids by vibe, type (gay bar, dance, date, chill, party, girls night), price, or name. Return a JSON object with exactly two keys: "barIds" (array of bar ids from the list that match) and "reply" (one short friendly sentence in English, e.g. "Here are 3 places that match."). If nothing matches well, return a few closest matches anyway. Use only the "id" values from the list.`;
-
-  const userPrompt = `Bar list:\n${barListText}\n\nUser request: ${userMessage}\n\nRespond with JSON only: {"barIds": ["id1", "id2"], "reply": "Your short message"}`;
-
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.3,
-      max_tokens: 500,
-    }),
-  });
+const { answerBarChat, streamBarChat } = require('./lib/bar-chat');
+const { providerFromEnv } = require('./lib/llm-provider');
+const { createMemoryStore } = require('./lib/store');
+const { guardFromEnv, corsHeaders } = require('./lib/guard');
 
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenAI API error: ${res.status} ${err}`);
-  }
-
-  const data = await res.json();
-  const content = data.choices?.[0]?.message?.content?.trim() || '';
-  const jsonMatch = content.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) throw new Error('No JSON in OpenAI response');
-  const parsed = JSON.parse(jsonMatch[0]);
-  const barIds = Array.isArray(parsed.barIds) ? parsed.barIds : [];
-  const reply = typeof parsed.reply === 'string' ? parsed.reply : 'Here are some matches.';
-  return { barIds, reply };
-}
+const PORT = process.env.PORT || 3000;
+const llm = providerFromEnv();
+const store = createMemoryStore();
+const { limiter, allowedOrigins } = guardFromEnv();
 
 const mimeTypes = {
   '.html': 'text/html',
   '.js': 'application/javascript',
   '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
   '.css': 'text/css',
   '.ico': 'image/x-icon',
   '.png': 'image/png',
@@ -97,20 +44,24 @@ const mimeTypes = {
 };
 
 const server = http.createServer(async (req, res) => {
+  const cors = corsHeaders(req.headers, allowedOrigins);
   if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    });
+    res.writeHead(cors ? 204 : 403, cors || {});
     res.end();
     return;
   }
 
   if (req.method === 'POST' && req.url === '/api/bar-chat') {
-    if (!OPENAI_API_KEY) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'OPENAI_API_KEY not set in .env', barIds: [], reply: 'Server not configured.' }));
+    if (!cors) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Origin not allowed' }));
+      return;
+    }
+    // Local dev: no proxy in front, so the socket address is the client
+    const rate = await limiter.take(req.socket.remoteAddress);
+    if (!rate.allowed) {
+      res.writeHead(429, { ...cors, 'Content-Type': 'application/json', 'Retry-After': String(rate.retryAfter) });
+      res.end(JSON.stringify({ error: 'Too many requests', barIds: [], reply: `Too many searches – try again in ${rate.retryAfter}s.` }));
       return;
     }
     let body = '';
@@ -119,28 +70,29 @@ const server = http.createServer(async (req, res) => {
     try {
       parsed = JSON.parse(body || '{}');
     } catch {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.writeHead(400, { ...cors, 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Invalid JSON' }));
       return;
     }
-    const message = (parsed.message || '').trim();
+    const message = parsed && typeof parsed.message === 'string' ? parsed.message.trim() : '';
     if (!message) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.writeHead(400, { ...cors, 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Missing "message"' }));
       return;
     }
+    if (parsed.stream === true) {
+      res.writeHead(200, { ...cors, 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+      await streamBarChat({ llm, message, history: parsed.history, cache: store }, (event) => res.write(JSON.stringify(event) + '\n'));
+      res.end();
+      return;
+    }
     try {
-      const bars = loadBars();
-      const summary = buildBarSummary(bars);
-      const result = await callOpenAI(OPENAI_API_KEY, summary, message);
-      res.writeHead(200, {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      });
+      const result = await answerBarChat({ llm, message, history: parsed.history, cache: store });
+      res.writeHead(200, { ...cors, 'Content-Type': 'application/json' });
       res.end(JSON.stringify(result));
     } catch (err) {
       console.error('bar-chat error:', err);
-      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.writeHead(500, { ...cors, 'Content-Type': 'application/json' });
       res.end(
         JSON.stringify({
           error: err.message,
@@ -173,5 +125,6 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, () => {
   console.log(`Server at http://localhost:${PORT}`);
-  if (!OPENAI_API_KEY) console.warn('OPENAI_API_KEY not set — AI bar search will fail until you add it to .env');
+  if (llm) console.log(`AI bar search: ${llm.name}/${llm.model}${llm.baseUrl ? ' at ' + llm.baseUrl : ''}`);
+  else console.warn('OPENAI_API_KEY not set — AI bar search uses the local ranker only until you add it (or LLM_BASE_URL) to .env');
 });
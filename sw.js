@@ -1,4 +1,11 @@
-const CACHE = 'billigaste-olen-v6';
+const CACHE = 'billigaste-olen-v15';
+// Watchlist state lives in its own cache so a CACHE bump does not wipe it
+const WATCH_CACHE = 'billigaste-olen-watchlist';
+const WATCH_STATE_URL = '/__watchlist-state';
+const WATCH_SYNC_TAG = 'watchlist-check';
+const MAX_WATCH_CHANGES = 30;
+importScripts('lib/opening-hours.js', 'lib/price-history.js', 'lib/happy-hours.js', 'lib/menu.js', 'lib/bar-normalize.js', 'lib/watchlist.js');
+
 self.addEventListener('install', function (e) {
   e.waitUntil(
     caches.open(CACHE).then(function (cache) {
@@ -10,12 +17,14 @@ self.addEventListener('install', function (e) {
 self.addEventListener('activate', function (e) {
   e.waitUntil(
     caches.keys().then(function (keys) {
-      return Promise.all(keys.filter(function (k) { return k !== CACHE; }).map(function (k) { return caches.delete(k); }));
+      return Promise.all(keys.filter(function (k) { return k !== CACHE && k !== WATCH_CACHE; }).map(function (k) { return caches.delete(k); }));
     }).then(function () { return self.clients.claim(); })
   );
 });
 self.addEventListener('fetch', function (e) {
   var url = e.request.url;
+  // Never cache API calls (POST /api/bar-chat) – let them go straight to the network
+  if (e.request.method !== 'GET' || url.indexOf(self.location.origin + '/api/') === 0) return;
   var isDoc = e.request.mode === 'navigate' || url.indexOf('index.html') !== -1 || url === self.location.origin + '/' || url === self.location.origin + '/index.html';
   if (isDoc) {
     e.respondWith(fetch(e.request).then(function (res) { return res; }).catch(function () { return caches.match(e.request); }));
@@ -33,3 +42,73 @@ self.addEventListener('fetch', function (e) {
     })
   );
 });
+
+// Watchlist alerts: the page sends the watchlisted ids (localStorage is not readable here);
+// bars.json is re-fetched when the app opens and on periodic sync, compared with the last
+// snapshot of those bars (lib/watchlist.js) and price drops, later hours and happy hours are notified.
+function readWatchState() {
+  return caches.open(WATCH_CACHE).then(function (cache) { return cache.match(WATCH_STATE_URL); }).then(function (res) {
+    return res ? res.json() : { ids: [], snapshots: {}, changes: [], checkedAt: null };
+  });
+}
+function writeWatchState(state) {
+  return caches.open(WATCH_CACHE).then(function (cache) {
+    return cache.put(WATCH_STATE_URL, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+  });
+}
+function postWatchState(state) {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function (list) {
+    list.forEach(function (client) { client.postMessage({ type: 'watchlist-state', changes: state.changes, checkedAt: state.checkedAt }); });
+  });
+}
+function notifyWatchChanges(changes) {
+  if (!changes.length || typeof Notification === 'undefined' || Notification.permission !== 'granted') return Promise.resolve();
+  return Promise.all(changes.map(function (change) {
+    var text = Watchlist.describeChange(change);
+    return self.registration.showNotification(text.title, { body: text.body, tag: 'watch-' + change.id + '-' + change.type, data: { barId: change.id } });
+  }));
+}
+function checkWatchlist() {
+  return readWatchState().then(function (state) {
+    if (!state.ids.length) return postWatchState(state);
+    return fetch('bars.json', { cache: 'no-store' }).then(function (res) {
+      if (!res.ok) throw new Error('bars.json ' + res.status);
+      // The app reads bars.json cache-first, so keep the cached copy as fresh as this check
+      var copy = res.clone();
+      caches.open(CACHE).then(function (cache) { cache.put('/bars.json', copy); });
+      return res.json();
+    }).then(function (data) {
+      var rows = Array.isArray(data) ? data : (data.bars || data.data || []);
+      var result = Watchlist.checkBars(rows, state.ids, state.snapshots, new Date().toISOString());
+      state.snapshots = result.snapshots;
+      state.changes = result.changes.concat(state.changes).slice(0, MAX_WATCH_CHANGES);
+      state.checkedAt = new Date().toISOString();
+      return writeWatchState(state)
+        .then(function () { return notifyWatchChanges(result.changes); })
+        .then(function () { return postWatchState(state); });
+    });
+  }).catch(function (err) { console.warn('watchlist check failed:', err); });
+}
+self.addEventListener('message', function (e) {
+  var msg = e.data || {};
+  if (msg.type === 'watchlist') {
+    e.waitUntil(readWatchState().then(function (state) {
+      state.ids = Array.isArray(msg.ids) ? msg.ids.map(String) : [];
+      return writeWatchState(state);
+    }).then(checkWatchlist));
+  } else if (msg.type === 'watchlist-clear-changes') {
+    e.waitUntil(readWatchState().then(function (state) {
+      state.changes = [];
+      return writeWatchState(state).then(function () { return postWatchState(state); });
+    }));
+  }
+});
+self.addEventListener('periodicsync', function (e) {
+  if (e.tag === WATCH_SYNC_TAG) e.waitUntil(checkWatchlist());
+});
+self.addEventListener('notificationclick', function (e) {
+  e.notification.close();
+  var barId = e.notification.data && e.notification.data.barId;
+  var url = new URL(barId ? '?bar=' + encodeURIComponent(barId) : './', self.registration.scope).href;
+  e.waitUntil(self.clients.openWindow(url));
+});
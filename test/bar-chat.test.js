@@ -0,0 +1,130 @@
+/**
+ * lib/bar-chat.js against bars.json with the mock provider: the NDJSON event order, the
+ * error event, the local answer when the model fails part-way, and the answer cache.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { answerBarChat, streamBarChat, loadBars } = require('../lib/bar-chat');
+const { createMockProvider } = require('../lib/llm-provider');
+const { createMemoryStore } = require('../lib/store');
+
+const BARS_PATH = path.join(__dirname, '..', 'bars.json');
+const BAR_IDS = loadBars().map((b) => b.id);
+
+async function events(options) {
+  const written = [];
+  await streamBarChat({ message: 'cheap beer with a dance floor', ...options }, (event) => written.push(event));
+  return written;
+}
+
+// Streams `pieces`, then fails with `err`, like a connection dropping mid-reply
+function failingProvider(pieces, err) {
+  return {
+    name: 'failing',
+    model: 'test',
+    async complete() {
+      throw err;
+    },
+    async stream(options, onDelta) {
+      pieces.forEach(onDelta);
+      throw err;
+    },
+  };
+}
+
+function codeError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// bar-chat logs each fallback and error; keep the test output readable
+test.beforeEach(() => {
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+test.afterEach(() => test.mock.restoreAll());
+
+test('a streamed answer is "bars", then "delta"s, then "done"', async () => {
+  const written = await events({ llm: createMockProvider() });
+  const types = written.map((e) => e.type);
+  assert.equal(types[0], 'bars');
+  assert.equal(types.at(-1), 'done');
+  assert.ok(types.slice(1, -1).length > 1 && types.slice(1, -1).every((t) => t === 'delta'), types.join(' '));
+
+  const done = written.at(-1);
+  assert.deepEqual(written[0].barIds, done.barIds);
+  assert.equal(done.barIds.length, 3);
+  assert.deepEqual(done.results.map((r) => r.id), done.barIds);
+  assert.equal(written.filter((e) => e.type === 'delta').map((e) => e.text).join(''), done.reply);
+  assert.equal(done.mode, 'new');
+});
+
+test('without a model the local answer is sent as one "bars" and one "delta"', async () => {
+  const written = await events({ llm: null });
+  assert.deepEqual(written.map((e) => e.type), ['bars', 'delta', 'done']);
+  assert.ok(written[2].barIds.length > 0);
+  assert.deepEqual(written[0].barIds, written[2].barIds);
+});
+
+test('a model failing mid-stream is answered locally, and "done" has that answer', async () => {
+  const partial = [`{"barIds":["${BAR_IDS[0]}"],`, '"reply":"Here are'];
+  const written = await events({ llm: failingProvider(partial, codeError('LLM_NETWORK_ERROR', 'terminated')) });
+  const types = written.map((e) => e.type);
+  // What streamed before the failure, then the local answer whole
+  assert.deepEqual(types, ['bars', 'delta', 'bars', 'delta', 'done']);
+  assert.equal(written[1].text, 'Here are');
+  const done = written.at(-1);
+  assert.deepEqual(done.barIds, written[2].barIds);
+  assert.equal(done.reply, written[3].text);
+  assert.ok(done.barIds.length > 0);
+});
+
+test('a broken model reply is replaced by the local answer', async () => {
+  const written = await events({ llm: createMockProvider({ reply: 'Sorry, I cannot help with that.' }) });
+  const done = written.at(-1);
+  assert.equal(done.type, 'done');
+  assert.ok(done.barIds.length > 0);
+  assert.deepEqual(written.filter((e) => e.type === 'bars').at(-1).barIds, done.barIds);
+});
+
+test('anything else ends the stream with an "error" event instead of throwing', async () => {
+  const written = await events({ llm: failingProvider([], new TypeError('bug')) });
+  assert.deepEqual(written.map((e) => e.type), ['error']);
+  assert.deepEqual(written[0], { type: 'error', error: 'bug', barIds: [], reply: 'Something went wrong. Try again.' });
+});
+
+// A memory store that remembers the keys it was given
+function spyStore() {
+  const store = createMemoryStore();
+  const keys = [];
+  return { keys, get: store.get, async set(key, value, ttlMs) { keys.push(key); return store.set(key, value, ttlMs); } };
+}
+
+test('answers are cached under a hash of bars.json', async () => {
+  const cache = spyStore();
+  const first = await answerBarChat({ llm: null, message: 'cheap beer with a dance floor', cache });
+  assert.equal(first.cached, undefined);
+  const hash = crypto.createHash('sha1').update(fs.readFileSync(BARS_PATH, 'utf8')).digest('hex').slice(0, 12);
+  assert.equal(cache.keys.length, 1);
+  assert.ok(cache.keys[0].startsWith(`bar-chat:${hash}:`), cache.keys[0]);
+  const again = await answerBarChat({ llm: null, message: 'Cheap beer  with a dance floor!', cache });
+  assert.equal(again.cached, true);
+  assert.deepEqual(again.barIds, first.barIds);
+
+  // The same answer under another bars.json hash is not served
+  const stale = createMemoryStore();
+  await stale.set(cache.keys[0].replace(hash, '000000000000'), { ...first, barIds: ['not-a-bar'] });
+  assert.equal((await answerBarChat({ llm: null, message: 'cheap beer with a dance floor', cache: stale })).cached, undefined);
+});
+
+test('"open now" answers are not cached', async () => {
+  const cache = spyStore();
+  await answerBarChat({ llm: null, message: 'cheap beer open now', cache });
+  assert.equal((await answerBarChat({ llm: null, message: 'cheap beer open now', cache })).cached, undefined);
+  assert.deepEqual(cache.keys, []);
+});
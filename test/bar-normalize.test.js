@@ -0,0 +1,188 @@
+/**
+ * lib/bar-normalize.js: every key in the BARS-FILE.md field table reaches the right field,
+ * plus the rules around it (first non-empty key wins, loose key matching, defaults).
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BarNormalize = require('../lib/bar-normalize');
+const BarsCsv = require('../lib/bars-csv');
+
+const { normalizeBar, field, FIELDS } = BarNormalize;
+
+// BARS-FILE.md table row -> the field(s) it documents
+const ROWS = {
+  Id: ['id'],
+  Name: ['name'],
+  Address: ['address'],
+  District: ['district'],
+  Coordinates: ['lat', 'lng'],
+  Price: ['cheapest_beer_sek'],
+  'Beer name': ['cheapest_beer_name'],
+  'Opening hours': ['opening_hours'],
+  'Happy hours': ['happy_hours'],
+  'Drinks menu': ['menu'],
+  Website: ['website'],
+  'Dance floor': ['dance_floor'],
+  'Dance notes': ['dance_notes'],
+  'Last updated': ['last_updated'],
+  'Price reports': ['price_reports'],
+  'Price history': ['price_history'],
+  Vibes: ['vibes'],
+  Moods: ['moods'],
+  'Place id': ['place_id'],
+  Photo: ['photo_reference'],
+  Rating: ['rating'],
+  'Review count': ['review_count'],
+};
+
+// A raw value per field and what normalizeBar() makes of it
+const SAMPLES = {
+  id: ['kvarnen', 'kvarnen'],
+  name: ['Kvarnen', 'Kvarnen'],
+  address: ['Tjärhovsgatan 4', 'Tjärhovsgatan 4'],
+  district: ['Södermalm', 'Södermalm'],
+  lat: ['59,3148', 59.3148],
+  lng: [18.0742, 18.0742],
+  cheapest_beer_sek: ['86', 86],
+  cheapest_beer_name: ['Mariestads', 'Mariestads'],
+  opening_hours: ['Mon-Sun: 16:00 - 01:00', 'Mon-Sun: 16:00 - 01:00'],
+  happy_hours: [[{ hours: 'Mon-Fri 16-18', price: 49 }], (v) => v.length === 1 && v[0].price === 49],
+  menu: [[{ category: 'cider', name: 'Somersby', cl: 33, price: 59 }], (v) => v.some((i) => i.category === 'cider' && i.price === 59)],
+  website: ['https://kvarnen.com', 'https://kvarnen.com'],
+  dance_floor: ['yes', 'yes'],
+  dance_notes: ['Club downstairs', 'Club downstairs'],
+  last_updated: ['2025-03-01', '2025-03-01'],
+  price_reports: [3, 3],
+  price_history: [[{ date: '2025-01-02', price: 82 }], (v) => v.length === 1 && v[0].price === 82],
+  vibes: ['Party, chill', ['party', 'chill']],
+  moods: [['party_night'], ['party_night']],
+  place_id: ['ChIJ123', 'ChIJ123'],
+  photo_reference: ['photo-1', 'photo-1'],
+  rating: ['4.1', 4.1],
+  review_count: [6874, 6874],
+};
+
+function documentedTable() {
+  const md = fs.readFileSync(path.join(__dirname, '..', 'BARS-FILE.md'), 'utf8');
+  const section = md.slice(md.indexOf('## Field names'), md.indexOf('## Price history'));
+  return section
+    .split('\n')
+    .filter((line) => /^\| [A-Z]/.test(line) && !line.startsWith('| Data'))
+    .map((line) => {
+      const [label, keys] = line.split('|').slice(1, 3).map((c) => c.trim());
+      // Only the backticked keys before any "(...)" note
+      const names = [...keys.replace(/\(.*\)/, '').matchAll(/`([^`]+)`/g)].map((m) => m[1]);
+      return { label, keys: names };
+    });
+}
+
+function assertValue(actual, expected, message) {
+  if (typeof expected === 'function') assert.ok(expected(actual), `${message}: got ${JSON.stringify(actual)}`);
+  else assert.deepEqual(actual, expected, message);
+}
+
+test('BARS-FILE.md documents every field and every alias in FIELDS', () => {
+  const table = documentedTable();
+  assert.deepEqual(table.map((r) => r.label).sort(), Object.keys(ROWS).sort());
+  for (const { label, keys } of table) {
+    const aliases = ROWS[label].flatMap((f) => FIELDS[f]);
+    assert.deepEqual(keys.slice().sort(), aliases.slice().sort(), `"${label}" row`);
+  }
+});
+
+test('every documented key is read into its field', () => {
+  for (const { label, keys } of documentedTable()) {
+    const fields = ROWS[label];
+    for (const key of keys) {
+      const f = fields.find((name) => FIELDS[name].includes(key));
+      const [raw, expected] = SAMPLES[f];
+      const bar = normalizeBar({ bar_name: 'Kvarnen', [key]: raw });
+      assertValue(bar[f], expected, `${key} -> ${f}`);
+    }
+  }
+});
+
+test('every documented key is read by the CSV import', () => {
+  for (const column of BarsCsv.COLUMNS) {
+    for (const key of BarNormalize.aliasesOf(column.key)) {
+      const fields = BarsCsv.rowToFields({ [key]: 'x' });
+      assert.ok(column.key in fields, `${key} -> ${column.key}`);
+    }
+  }
+});
+
+test('the first non-empty key wins', () => {
+  assert.equal(field({ bar_name: 'A', name: 'B' }, 'name'), 'A');
+  assert.equal(field({ bar_name: '', name: 'B' }, 'name'), 'B');
+  assert.equal(field({ bar_name: null, name: 'B' }, 'name'), 'B');
+  assert.equal(normalizeBar({ price: '', cheapest_beer_sek: 45 }).cheapest_beer_sek, 45);
+  assert.equal(field({ hours: 'Mon 12-14', opening_hours: 'Tue 12-14' }, 'opening_hours'), 'Tue 12-14');
+});
+
+test('keys match ignoring case, spaces and underscores', () => {
+  const bar = normalizeBar({
+    Name: 'Akkurat',
+    Address: 'Hornsgatan 18',
+    Lat: '59.3198',
+    Longitude: '18.0665',
+    Price: '92',
+    cheapestBeerName: 'Punk IPA',
+    'Opening Hours': 'Mon-Sun: 15:00 - 00:00',
+    updatedAt: '2025-02-01',
+    priceHistory: [{ date: '2025-01-01', price: 90 }],
+    Website: 'https://akkurat.se',
+  });
+  assert.equal(bar.name, 'Akkurat');
+  assert.equal(bar.address, 'Hornsgatan 18');
+  assert.equal(bar.lat, 59.3198);
+  assert.equal(bar.lng, 18.0665);
+  assert.equal(bar.cheapest_beer_sek, 92);
+  assert.equal(bar.cheapest_beer_name, 'Punk IPA');
+  assert.equal(bar.opening_hours, 'Mon-Sun: 15:00 - 00:00');
+  assert.equal(bar.last_updated, '2025-02-01');
+  assert.equal(bar.price_history.length, 1);
+  assert.equal(bar.website, 'https://akkurat.se');
+  // An exact spelling is preferred over a loose one
+  assert.equal(field({ Price: 1, price: 2 }, 'cheapest_beer_sek'), 2);
+});
+
+test('defaults for a bare row', () => {
+  const bar = normalizeBar({});
+  assert.equal(bar.id, 'unknown');
+  assert.equal(bar.name, 'Unknown');
+  assert.equal(bar.address, null);
+  assert.equal(bar.district, null);
+  assert.equal(bar.lat, null);
+  assert.equal(bar.price_found, false);
+  assert.equal(bar.cheapest_beer_sek, null);
+  assert.equal(bar.dance_floor, 'unknown');
+  assert.equal(bar.price_reports, 0);
+  assert.deepEqual(bar.vibes, []);
+  assert.deepEqual(bar.moods, []);
+  assert.deepEqual(bar.menu, []);
+  assert.deepEqual(bar.happy_hours, []);
+  assert.deepEqual(bar.price_history, []);
+});
+
+test('id falls back to the name as a slug', () => {
+  assert.equal(normalizeBar({ name: 'Morfar Ginko' }).id, 'morfar-ginko');
+  assert.equal(normalizeBar({ slug: 'mg', name: 'Morfar Ginko' }).id, 'mg');
+  assert.equal(BarNormalize.barId({}), null);
+});
+
+test('values are parsed', () => {
+  assert.equal(normalizeBar({ price: 'free' }).cheapest_beer_sek, null);
+  assert.equal(normalizeBar({ price: 0 }).price_found, true);
+  assert.equal(normalizeBar({ dance_floor: true }).dance_floor, 'yes');
+  assert.equal(normalizeBar({ danceFloor: 'NO' }).dance_floor, 'no');
+  assert.equal(normalizeBar({ dance_floor: 'Fridays only' }).dance_floor, 'Fridays only');
+  assert.deepEqual(normalizeBar({ opening_hours: '{"Monday":"16:00 - 01:00"}' }).opening_hours, { Monday: '16:00 - 01:00' });
+  assert.deepEqual(normalizeBar({ moods: 'First_Date; party_night' }).moods, ['first_date', 'party_night']);
+  // The old single price shows up as a beer on the menu
+  assert.deepEqual(normalizeBar({ price: 49, beer_name: 'Norrlands' }).menu, [{ category: 'beer', name: 'Norrlands', cl: null, price: 49 }]);
+});
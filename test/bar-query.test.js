@@ -0,0 +1,85 @@
+/**
+ * lib/bar-query.js: what parseQuery() reads out of a chat message, and how rankBars() and
+ * answerLocally() turn that into bars – mood queries, name queries and hard limits.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BarQuery = require('../lib/bar-query');
+const { normalizeBar } = require('../lib/bar-normalize');
+
+const { parseQuery, mergeQueries, isFollowUp, rankBars, answerLocally } = BarQuery;
+
+// Friday 21:00, so "open now" does not depend on when the tests run
+const FRIDAY_NINE = { day: 4, minutes: 21 * 60 };
+
+const BARS = [
+  { id: 'soldaten-svejk', bar_name: 'Krogen Soldaten Svejk', price: 79, rating: 4.6, moods: ['group_friends'] },
+  { id: 'kvarnen', bar_name: 'Kvarnen', price: 86, rating: 4.1, moods: ['party_night', 'group_friends'], dance_floor: 'yes', opening_hours: 'Mon-Sun: 11:00 - 03:00' },
+  { id: 'lilla-compagniet', bar_name: 'Bar Lilla Compagniet', price: 72, rating: 4.4, moods: ['first_date', 'third_date'], opening_hours: 'Mon-Sun: 16:00 - 00:00' },
+  { id: 'bistro-barbro', bar_name: 'Bistro Barbro', price: 68, rating: 4.3, moods: ['first_date'], opening_hours: 'Mon-Sun: 17:00 - 01:00' },
+  { id: 'racamaca', bar_name: 'Racamaca', price: 55, rating: 4.0, moods: ['first_date', 'chill_date'] },
+  { id: 'snovit', bar_name: 'Snövit Bar', price: 49, rating: 3.9, moods: ['party_night', 'cheap_night_out'], dance_floor: 'yes' },
+].map(normalizeBar);
+
+function answer(message) {
+  const query = parseQuery(message);
+  return answerLocally(rankBars(BARS, query, FRIDAY_NINE), query).barIds;
+}
+
+test('a mood query returns every bar with that mood, not just the top score', () => {
+  const ids = answer('romantic date');
+  assert.ok(ids.length >= 3, `got ${ids.join(', ')}`);
+  for (const id of ['lilla-compagniet', 'bistro-barbro', 'racamaca']) assert.ok(ids.includes(id), id);
+  assert.deepEqual(answer('date night').slice().sort(), answer('romantic date').slice().sort());
+});
+
+test('a word inside a name is not a name match', () => {
+  // "date" is in "Soldaten"
+  const ranked = rankBars(BARS, parseQuery('date'), FRIDAY_NINE);
+  assert.equal(ranked.find((r) => r.bar.id === 'soldaten-svejk').nameMatch, false);
+});
+
+test('asking for a bar by name returns just that bar', () => {
+  assert.deepEqual(answer('kvarnen'), ['kvarnen']);
+  assert.deepEqual(answer('is snövit open tonight'), ['snovit']);
+});
+
+test('a price needs "kr" or no unit at all after the number', () => {
+  assert.equal(parseQuery('beer under 60').maxPrice, 60);
+  assert.equal(parseQuery('up to 80 kr').maxPrice, 80);
+  assert.equal(parseQuery('max 70:-').maxPrice, 70);
+  assert.equal(parseQuery('60 kr or less').maxPrice, 60);
+  assert.equal(parseQuery('under 100 meters from slussen').maxPrice, null);
+  assert.equal(parseQuery('under 15 min walk').maxPrice, null);
+  assert.equal(parseQuery('under 1000 m').maxPrice, null);
+  assert.equal(parseQuery('table for up to 12 people').maxPrice, null);
+});
+
+// What lib/bar-chat.js does with the next message after "under 50 kr with a dance floor"
+function nextQuery(message) {
+  const query = parseQuery(message);
+  return isFollowUp(message) ? mergeQueries(parseQuery('under 50 kr with a dance floor'), query) : query;
+}
+
+test('a follow-up keeps the earlier limits', () => {
+  for (const message of ['any more?', 'more like that', 'any of those in vasastan?', 'only ones open late', 'what about vasastan']) {
+    assert.equal(isFollowUp(message), true, message);
+  }
+  const query = nextQuery('any of those in vasastan?');
+  assert.equal(query.maxPrice, 50);
+  assert.equal(query.danceFloor, true);
+  assert.equal(query.neighbourhood, 'vasastan');
+});
+
+test('a fresh question starting with "any" or "more" does not', () => {
+  for (const message of ['any bars in vasastan?', 'more bars with cheap beer near slussen', 'also want a quiet place', 'just a beer near odenplan']) {
+    assert.equal(isFollowUp(message), false, message);
+  }
+  const query = nextQuery('any bars in vasastan?');
+  assert.equal(query.maxPrice, null);
+  assert.equal(query.danceFloor, null);
+  assert.equal(query.neighbourhood, 'vasastan');
+});
@@ -0,0 +1,67 @@
+/**
+ * lib/bar-search.js: folding, typo tolerance, every word having to match, and the name
+ * counting most.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fold, editDistance, buildIndex, search } = require('../lib/bar-search');
+const { normalizeBar } = require('../lib/bar-normalize');
+
+const BARS = [
+  { id: 'algen-bar', bar_name: 'Älgen Bar', address: 'Götgatan 10', cheapest_beer_name: 'Norrlands Guld', moods: ['cheap_night_out'] },
+  { id: 'kvarnen', bar_name: 'Kvarnen', address: 'Tjärhovsgatan 4', cheapest_beer_name: 'Pilsner', vibes: ['classic beer hall'], moods: ['party_night'] },
+  { id: 'gota-kallare', bar_name: 'Göta Källare', address: 'Folkungagatan 45', moods: ['party_night'] },
+  { id: 'folkbaren', bar_name: 'Folkbaren', address: 'Hornsgatan 75', moods: ['first_date'] },
+].map(normalizeBar);
+const INDEX = buildIndex(BARS);
+
+const ids = (query, limit) => search(INDEX, query, limit).map((r) => r.bar.id);
+
+test('fold() drops case, accents and punctuation', () => {
+  assert.equal(fold('Älgen Bar!'), 'algen bar');
+  assert.equal(fold('Göta  Källare – Södermalm'), 'gota kallare sodermalm');
+  assert.equal(fold('Smørrebrød & Æbleskiver'), 'smorrebrod aebleskiver');
+  assert.equal(fold(null), '');
+});
+
+test('editDistance() counts a swap as one edit and stops past the maximum', () => {
+  assert.equal(editDistance('kvarnen', 'kvarnen', 1), 0);
+  assert.equal(editDistance('kvarnan', 'kvarnen', 1), 1);
+  assert.equal(editDistance('kvanren', 'kvarnen', 1), 1);
+  assert.equal(editDistance('folk', 'kvarnen', 2), 3);
+});
+
+test('accents, word starts and typos still find the bar', () => {
+  assert.deepEqual(ids('algen'), ['algen-bar']);
+  assert.deepEqual(ids('kvarnan'), ['kvarnen']);
+  assert.deepEqual(ids('göta käl'), ['gota-kallare']);
+  assert.deepEqual(ids('tjarhov'), ['kvarnen']);
+  // No typos allowed under four letters
+  assert.deepEqual(ids('kva'), ['kvarnen']);
+  assert.deepEqual(ids('kwa'), []);
+});
+
+test('every word must match some field', () => {
+  assert.deepEqual(ids('party kvarnen'), ['kvarnen']);
+  assert.deepEqual(ids('party algen'), []);
+});
+
+test('a name match ranks above an address or mood match', () => {
+  // "folk" starts the name Folkbaren and the street Folkungagatan
+  const results = search(INDEX, 'folk');
+  assert.deepEqual(results.map((r) => [r.bar.id, r.field]), [
+    ['folkbaren', 'name'],
+    ['gota-kallare', 'address'],
+  ]);
+  assert.deepEqual(search(INDEX, 'pilsner').map((r) => r.field), ['cheapest_beer_name']);
+});
+
+test('results stop at the limit; an empty query finds nothing', () => {
+  assert.equal(ids('gatan').length, 4);
+  assert.equal(ids('gatan', 2).length, 2);
+  assert.deepEqual(search(INDEX, '  – '), []);
+  assert.deepEqual(search(buildIndex(null), 'kvarnen'), []);
+});
@@ -0,0 +1,86 @@
+/**
+ * lib/crawl.js: the shortest walking order, arrival times checked against opening hours
+ * (overnight hours included), and auto-picking a crawl that fits the budget and the night.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OpeningHours = require('../lib/opening-hours');
+const Crawl = require('../lib/crawl');
+
+const { walkingMinutes, orderRoute, scheduleCrawl, summarize, pickCrawl } = Crawl;
+
+const H = (h, m = 0) => h * 60 + m;
+// Friday 21:00 and 23:30
+const FRIDAY_NINE = { day: 4, minutes: H(21) };
+const FRIDAY_LATE = { day: 4, minutes: H(23, 30) };
+
+// Stops on one street, north of each other; 222 m apart is a 4-minute walk
+function stop(id, lat, price, hours) {
+  return { id, lat, lng: 18.07, price, week: OpeningHours.parse(hours) };
+}
+const A = stop('a', 59.31, 50, 'Mon-Sun 16:00-01:00');
+const B = stop('b', 59.312, 60, 'Mon-Thu Closed, Fri-Sat 16:00-03:00, Sun Closed');
+const C = stop('c', 59.314, 45, null);
+const D = stop('d', 59.316, 40, 'Mon-Sat Closed, Sun 12:00-18:00');
+const E = stop('e', 59.311, 55, 'Mon-Sun 16:00-02:00');
+const F = stop('f', 59.313, 70, 'Mon-Sun 16:00-02:00');
+// Ten kilometres away
+const FAR = stop('far', 59.4, 30, 'Mon-Sun 16:00-02:00');
+
+const ids = (stops) => stops.map((s) => s.id);
+
+test('walking time grows with distance and is at least a minute', () => {
+  assert.equal(walkingMinutes(A, A), 1);
+  assert.equal(walkingMinutes(A, B), 4);
+  assert.equal(walkingMinutes(A, D), 11);
+});
+
+test('orderRoute() finds the shortest walk, optionally from a fixed first bar', () => {
+  assert.deepEqual(ids(orderRoute([C, A, D, B])), ['a', 'b', 'c', 'd']);
+  // From C: up to D first, then back down past it is shorter than C-B-A-D
+  assert.deepEqual(ids(orderRoute([C, A, D, B], { fixFirst: true })), ['c', 'd', 'b', 'a']);
+  assert.deepEqual(ids(orderRoute([D, A])), ['d', 'a']);
+  assert.deepEqual(orderRoute([]), []);
+});
+
+test('scheduleCrawl() times each stop and checks it is open on arrival, past midnight too', () => {
+  const schedule = scheduleCrawl([A, B, C, D], FRIDAY_LATE);
+  assert.deepEqual(schedule.map((s) => [s.stop.id, s.walkMinutes, s.arrive, s.leave, s.open, s.closesIn]), [
+    ['a', 0, H(23, 30), H(24, 15), true, 90],
+    // Saturday 00:19, still Friday night's hours
+    ['b', 4, H(24, 19), H(25, 4), true, H(2, 41)],
+    ['c', 4, H(25, 8), H(25, 53), null, null],
+    // Saturday 01:57: only open on Sundays
+    ['d', 4, H(25, 57), H(26, 42), false, null],
+  ]);
+  assert.equal(scheduleCrawl([A, E], FRIDAY_LATE, 90)[1].arrive, H(23, 30) + 90 + 2);
+  assert.deepEqual(summarize(schedule), { beers: 4, cost: 195, unknownPrices: 0, walkMinutes: 12, closedStops: 1 });
+  assert.equal(summarize(scheduleCrawl([C, { ...E, price: null }], FRIDAY_NINE)).unknownPrices, 1);
+});
+
+test('pickCrawl() picks nearby bars open when you get there', () => {
+  const route = pickCrawl([A, B, C, D, E, F, FAR], { count: 3, start: FRIDAY_NINE });
+  assert.deepEqual(ids(route), ['a', 'e', 'b']);
+  for (const s of scheduleCrawl(route, FRIDAY_NINE)) assert.equal(s.open, true, s.stop.id);
+  // A crawl has at least three stops
+  assert.equal(pickCrawl([A, B, C, D, E, F, FAR], { count: 1, start: FRIDAY_NINE }).length, 3);
+});
+
+test('pickCrawl() keeps to the budget and returns [] when nothing fits', () => {
+  const bars = [A, B, C, D, E, F, FAR];
+  assert.deepEqual(ids(pickCrawl(bars, { count: 3, budget: 165, start: FRIDAY_NINE })), ['a', 'e', 'b']);
+  assert.deepEqual(pickCrawl(bars, { count: 3, budget: 150, start: FRIDAY_NINE }), []);
+  // Bars without a price cannot be counted against a budget
+  assert.deepEqual(pickCrawl([{ ...A, price: null }, E, B], { count: 3, budget: 500, start: FRIDAY_NINE }), []);
+  // Monday 02:00: everything has closed
+  assert.deepEqual(pickCrawl(bars, { count: 3, start: { day: 0, minutes: H(2) } }), []);
+});
+
+test('pickCrawl() counts Friday night\'s hours after midnight', () => {
+  // From 23:30: A until 01, E and F until 02, and B until 03 (Fridays and Saturdays only)
+  assert.deepEqual(ids(pickCrawl([A, B, E, F], { count: 4, start: FRIDAY_LATE })), ['a', 'e', 'b', 'f']);
+  assert.deepEqual(pickCrawl([A, B, E, F], { count: 4, start: { day: 3, minutes: H(23, 30) } }), []);
+});
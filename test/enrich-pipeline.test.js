@@ -0,0 +1,126 @@
+/**
+ * The enrichment pipeline end to end, offline: test/fixtures/bars-info.csv goes through
+ * geocode-bars-from-csv.js, update-bars-from-google-places.js and categorize-bars-by-mood.js
+ * with every HTTP call answered from test/fixtures/http (HTTP_MODE=replay, lib/http-client.js),
+ * then the resulting bars.json is checked.
+ *
+ * Run: node --test
+ *
+ * The scripts write next to themselves, so each run works in a scratch copy of lib/,
+ * scripts/ and data/districts.geojson. After changing a request in one of the scripts, delete test/fixtures/http and
+ * re-record with real keys:
+ *   HTTP_MODE=record GOOGLE_PLACES_API_KEY=... OPENAI_API_KEY=... node --test test/enrich-pipeline.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { MOODS } = require('../lib/moods');
+
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const RECORD = process.env.HTTP_MODE === 'record';
+const SCRIPT_TIMEOUT_MS = 60000;
+// Inside the box scripts/validate-bars.js accepts
+const STOCKHOLM = { south: 59.28, north: 59.45, west: 17.9, east: 18.25 };
+
+function makeTree() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockholm-bars-'));
+  for (const name of ['lib', 'scripts']) fs.cpSync(path.join(ROOT, name), path.join(dir, name), { recursive: true });
+  fs.copyFileSync(path.join(ROOT, 'bars.schema.json'), path.join(dir, 'bars.schema.json'));
+  fs.mkdirSync(path.join(dir, 'data'));
+  fs.copyFileSync(path.join(ROOT, 'data', 'districts.geojson'), path.join(dir, 'data', 'districts.geojson'));
+  fs.copyFileSync(path.join(FIXTURES, 'bars-info.csv'), path.join(dir, 'bars-info.csv'));
+  return dir;
+}
+
+// Replay gets a clean environment so a developer's .env settings (LLM_BASE_URL, ...) cannot leak in
+function env() {
+  const base = RECORD ? { ...process.env } : { PATH: process.env.PATH, GOOGLE_PLACES_API_KEY: 'test-key', OPENAI_API_KEY: 'test-key' };
+  return { ...base, HTTP_MODE: RECORD ? 'record' : 'replay', HTTP_FIXTURES: path.join(FIXTURES, 'http') };
+}
+
+function run(dir, script, args = []) {
+  const result = spawnSync(process.execPath, [path.join(dir, 'scripts', script), ...args], {
+    cwd: dir,
+    env: env(),
+    encoding: 'utf8',
+    timeout: SCRIPT_TIMEOUT_MS,
+  });
+  assert.equal(result.status, 0, `${script} exited with ${result.status}:\n${result.stdout}\n${result.stderr}`);
+  return result.stdout;
+}
+
+function readBars(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'bars.json'), 'utf8'));
+}
+
+test('enrichment pipeline', async (t) => {
+  const dir = makeTree();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await t.test('geocode-bars-from-csv.js imports the sheet and geocodes every bar', () => {
+    run(dir, 'geocode-bars-from-csv.js', ['bars-info.csv']);
+    const bars = readBars(dir);
+    assert.deepEqual(bars.map((b) => b.id), ['kvarnen', 'morfar-ginko', 'akkurat']);
+    for (const bar of bars) {
+      assert.ok(bar.lat > STOCKHOLM.south && bar.lat < STOCKHOLM.north, `${bar.id} lat ${bar.lat}`);
+      assert.ok(bar.lng > STOCKHOLM.west && bar.lng < STOCKHOLM.east, `${bar.id} lng ${bar.lng}`);
+      assert.equal(bar.district, 'Södermalm', `${bar.id} district`);
+    }
+    const kvarnen = bars.find((b) => b.id === 'kvarnen');
+    assert.equal(kvarnen.dance_notes, 'Dance floor downstairs, "Eld" on weekends');
+    const akkurat = bars.find((b) => b.id === 'akkurat');
+    // No price in the sheet: the cheapest beer on the menu
+    assert.equal(akkurat.price, 92);
+    assert.deepEqual(akkurat.price_history.map((e) => e.price), [92]);
+  });
+
+  await t.test('update-bars-from-google-places.js adds place data to every bar', () => {
+    const before = readBars(dir);
+    run(dir, 'update-bars-from-google-places.js', ['bars.json']);
+    const bars = readBars(dir);
+    assert.equal(bars.length, before.length);
+    for (const bar of bars) {
+      assert.ok(bar.place_id, `${bar.id} place_id`);
+      assert.ok(bar.photo_reference, `${bar.id} photo_reference`);
+      assert.equal(typeof bar.rating, 'number');
+      assert.ok(Number.isInteger(bar.review_count) && bar.review_count > 0, `${bar.id} review_count`);
+      assert.equal(bar.location, bar.correct_address);
+      assert.ok(bar.vibes.length > 0, `${bar.id} vibes`);
+      // Fields Places does not touch come through unchanged
+      const prev = before.find((b) => b.id === bar.id);
+      assert.deepEqual(bar.menu, prev.menu);
+      assert.deepEqual(bar.price_history, prev.price_history);
+    }
+    assert.ok(bars.find((b) => b.id === 'kvarnen').vibes.includes('party'));
+    assert.ok(fs.existsSync(path.join(dir, 'bars-info-updated.csv')));
+  });
+
+  await t.test('categorize-bars-by-mood.js gives every bar known moods', () => {
+    run(dir, 'categorize-bars-by-mood.js');
+    const bars = readBars(dir);
+    for (const bar of bars) {
+      assert.ok(bar.moods.length > 0, `${bar.id} has no moods`);
+      for (const mood of bar.moods) assert.ok(MOODS.includes(mood), `${bar.id}: unknown mood ${mood}`);
+    }
+    // MANUAL_MOOD_OVERRIDES in the script
+    assert.ok(bars.find((b) => b.id === 'morfar-ginko').moods.includes('first_date'));
+  });
+
+  await t.test('the result passes validate-bars.js', () => {
+    run(dir, 'validate-bars.js', ['bars.json']);
+  });
+
+  await t.test('a second run makes no requests and changes nothing', () => {
+    const before = fs.readFileSync(path.join(dir, 'bars.json'), 'utf8');
+    for (const script of ['update-bars-from-google-places.js', 'categorize-bars-by-mood.js']) {
+      const out = run(dir, script, script.startsWith('update') ? ['bars.json'] : []);
+      assert.match(out, /API: 0 request\(s\)/);
+    }
+    assert.equal(fs.readFileSync(path.join(dir, 'bars.json'), 'utf8'), before);
+  });
+});
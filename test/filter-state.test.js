@@ -0,0 +1,68 @@
+/**
+ * lib/filter-state.js: the map filters as a query string – what parse() reads, what it
+ * ignores, and that serialize() writes the same link back.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULTS, parse, serialize, countActive } = require('../lib/filter-state');
+
+test('every filter is read from the query string', () => {
+  const state = parse('?mood=party_night,cheap_night_out&match=all&price=40-70&rating=4.5&dance=yes&open=fri-0130&district=Slussen&drink=cider&unit=litre');
+  assert.deepEqual(state, {
+    ...DEFAULTS,
+    moods: ['party_night', 'cheap_night_out'],
+    moodMatch: 'all',
+    priceMin: 40,
+    priceMax: 70,
+    minRating: 4.5,
+    dance: 'yes',
+    hours: 'open_at',
+    at: { day: 4, minutes: 90 },
+    district: 'Slussen',
+    drink: 'cider',
+    unit: 'litre',
+  });
+  assert.deepEqual(parse('open=now'), { ...DEFAULTS, hours: 'open_now' });
+  assert.deepEqual(parse('open=late'), { ...DEFAULTS, hours: 'open_late' });
+  assert.deepEqual(parse(new URLSearchParams('open=Lör-22:00')).at, { day: 5, minutes: 1320 });
+});
+
+test('open-ended price ranges', () => {
+  assert.deepEqual([parse('price=40-').priceMin, parse('price=40-').priceMax], [40, null]);
+  assert.deepEqual([parse('price=-60').priceMin, parse('price=-60').priceMax], [null, 60]);
+});
+
+test('values that cannot be read are ignored', () => {
+  assert.deepEqual(parse(''), DEFAULTS);
+  assert.deepEqual(parse(null), DEFAULTS);
+  const state = parse('match=some&price=cheap&rating=7&dance=maybe&open=someday-2500&unit=pint');
+  assert.deepEqual(state, DEFAULTS);
+  // A minimum above the maximum keeps the minimum
+  assert.deepEqual([parse('price=80-40').priceMin, parse('price=80-40').priceMax], [80, null]);
+  assert.equal(parse('price=-5-40').priceMin, null);
+});
+
+test('AI results are read unless the link is a shared crawl', () => {
+  assert.deepEqual(parse('bars=kvarnen,snovit').bars, ['kvarnen', 'snovit']);
+  assert.equal(parse('bars=kvarnen,snovit&crawl=1').bars, null);
+  assert.equal(parse('bars=').bars, null);
+});
+
+test('serialize() writes only what is set, and parse() reads it back', () => {
+  assert.equal(serialize(DEFAULTS), '');
+  const query = 'mood=party_night,cheap_night_out&match=all&price=40-&rating=4&dance=no&open=fri-0130&district=Södermalm&drink=cider&unit=litre&bars=a,b';
+  const state = parse(query);
+  assert.equal(decodeURIComponent(serialize(state)), query);
+  assert.deepEqual(parse(serialize(state)), state);
+  // "all" means nothing with one mood, and a litre price needs a drink
+  assert.equal(serialize({ ...DEFAULTS, moods: ['first_date'], moodMatch: 'all', unit: 'litre' }), 'mood=first_date');
+});
+
+test('countActive() counts a price range or several moods once, and not AI results', () => {
+  assert.equal(countActive(DEFAULTS), 0);
+  assert.equal(countActive(parse('mood=a,b&price=40-70&bars=x')), 2);
+  assert.equal(countActive(parse('rating=4&dance=yes&open=late&district=Slussen&drink=cider')), 5);
+});
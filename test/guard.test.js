@@ -0,0 +1,102 @@
+/**
+ * lib/guard.js and lib/store.js: the per-IP token bucket and its Retry-After, which
+ * address counts as the caller's, the CORS allowlist, and store expiry and eviction.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRateLimiter, clientIp, corsHeaders, guardFromEnv } = require('../lib/guard');
+const { createMemoryStore, createFileStore } = require('../lib/store');
+
+// Date.now() under the test's control
+function clock(start = 1_000_000) {
+  let now = start;
+  test.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; } };
+}
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('the bucket allows a burst, then refills at the per-minute rate', async () => {
+  const time = clock();
+  const limiter = createRateLimiter({ burst: 3, perMinute: 6 });
+  for (const remaining of [2, 1, 0]) assert.deepEqual(await limiter.take('1.2.3.4'), { allowed: true, remaining, retryAfter: 0 });
+  // One token every 10 s
+  assert.deepEqual(await limiter.take('1.2.3.4'), { allowed: false, remaining: 0, retryAfter: 10 });
+  time.advance(4000);
+  assert.equal((await limiter.take('1.2.3.4')).retryAfter, 6);
+  time.advance(6000);
+  assert.equal((await limiter.take('1.2.3.4')).allowed, true);
+  // Other callers have buckets of their own
+  assert.equal((await limiter.take('5.6.7.8')).allowed, true);
+});
+
+test('guardFromEnv() reads the limits and the allowlist, with defaults', async () => {
+  const { limiter, allowedOrigins } = guardFromEnv({ RATE_LIMIT_BURST: '2', CORS_ORIGINS: 'https://example.com/, http://localhost:5173' });
+  assert.equal(limiter.burst, 2);
+  assert.deepEqual(allowedOrigins, ['https://example.com', 'http://localhost:5173']);
+  const defaults = guardFromEnv({ RATE_LIMIT_BURST: 'lots' });
+  assert.equal(defaults.limiter.burst, 10);
+  assert.deepEqual(defaults.allowedOrigins, []);
+});
+
+test('the caller is the address a proxy added, not one the client sent', () => {
+  assert.equal(clientIp({ 'x-vercel-forwarded-for': '9.9.9.9, 10.0.0.1', 'x-forwarded-for': '6.6.6.6, 9.9.9.9' }, '10.0.0.1'), '9.9.9.9');
+  // "6.6.6.6" is what the client wrote; the proxy appended the real one
+  assert.equal(clientIp({ 'x-forwarded-for': '6.6.6.6, 8.8.8.8' }, '10.0.0.1'), '8.8.8.8');
+  assert.equal(clientIp({}, '127.0.0.1'), '127.0.0.1');
+  assert.equal(clientIp(undefined, undefined), 'unknown');
+});
+
+test('CORS headers only for allowlisted origins', () => {
+  const allowed = ['https://example.com'];
+  assert.deepEqual(corsHeaders({}, allowed), {});
+  assert.deepEqual(corsHeaders({ origin: 'https://bars.example.org', host: 'bars.example.org' }, allowed), {});
+  assert.equal(corsHeaders({ origin: 'https://evil.test', host: 'bars.example.org' }, allowed), null);
+  assert.equal(corsHeaders({ origin: 'not a url', host: 'bars.example.org' }, []), null);
+  assert.deepEqual(corsHeaders({ origin: 'https://example.com', host: 'bars.example.org' }, allowed), {
+    'Access-Control-Allow-Origin': 'https://example.com',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    Vary: 'Origin',
+  });
+});
+
+test('the memory store expires entries and evicts the oldest', async () => {
+  const time = clock();
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', 1, 1000);
+  await store.set('b', { n: 2 });
+  time.advance(1000);
+  assert.equal(await store.get('a'), undefined);
+  assert.deepEqual(await store.get('b'), { n: 2 });
+  await store.set('c', 3);
+  await store.set('d', 4);
+  assert.equal(await store.get('b'), undefined);
+  assert.equal(await store.get('d'), 4);
+  await store.delete('d');
+  assert.equal(await store.get('d'), undefined);
+});
+
+test('the file store survives a reload and drops what expired meanwhile', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'cache', 'store.json');
+  const time = clock();
+  const store = createFileStore(file);
+  await store.set('kept', { price: 45 });
+  await store.set('short', 'x', 500);
+  await store.set('gone', true);
+  await store.delete('gone');
+  time.advance(1000);
+  const reloaded = createFileStore(file);
+  assert.deepEqual(await reloaded.get('kept'), { price: 45 });
+  assert.equal(await reloaded.get('short'), undefined);
+  assert.equal(await reloaded.get('gone'), undefined);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['store.json']);
+});
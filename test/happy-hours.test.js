@@ -0,0 +1,79 @@
+/**
+ * lib/happy-hours.js: bars-info.csv cells and bars.json arrays parse to the same windows and
+ * write back unchanged, and activeAt() / nextStart() pick the right window.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HappyHours = require('../lib/happy-hours');
+
+const { parse, activeAt, nextStart, cheapestPrice, toJSON, toCell } = HappyHours;
+
+const H = (h, m = 0) => h * 60 + m;
+const CELL = 'Mon-Fri 16:00-19:00 = 45 | Sat 14:00-17:00 = 49 (Norrlands)';
+const JSON_FORM = [
+  { hours: 'Mon-Fri 16:00-19:00', price: 45 },
+  { hours: 'Sat 14:00-17:00', price: 49, beer: 'Norrlands' },
+];
+
+test('a CSV cell gives one window per "|" part', () => {
+  const windows = parse(CELL);
+  assert.equal(windows.length, 2);
+  assert.deepEqual(windows.map((w) => [w.hours, w.price, w.beer]), [
+    ['Mon-Fri 16:00-19:00', 45, null],
+    ['Sat 14:00-17:00', 49, 'Norrlands'],
+  ]);
+  assert.deepEqual(windows[0].week[2], [{ open: H(16), close: H(19) }]);
+  assert.equal(windows[0].week[5], null);
+});
+
+test('prices may have "kr" and a comma decimal', () => {
+  assert.deepEqual(parse('Daily 15-17 = 39 kr').map((w) => w.price), [39]);
+  assert.deepEqual(parse('Thu 16-18 = 42,50').map((w) => w.price), [42.5]);
+});
+
+test('bars.json arrays and their JSON text give the same windows as the cell', () => {
+  const fromCell = toJSON(parse(CELL));
+  assert.deepEqual(fromCell, JSON_FORM);
+  assert.deepEqual(toJSON(parse(JSON_FORM)), JSON_FORM);
+  assert.deepEqual(toJSON(parse(JSON.stringify(JSON_FORM))), JSON_FORM);
+});
+
+test('toCell() writes what parse() reads back', () => {
+  assert.equal(toCell(parse(JSON_FORM)), CELL);
+  assert.deepEqual(toJSON(parse(toCell(parse(CELL)))), JSON_FORM);
+});
+
+test('windows without readable hours or a price are dropped', () => {
+  assert.deepEqual(parse('after work = 45 | Fri 16-18 = cheap'), []);
+  assert.deepEqual(parse([{ hours: 'Mon 16-18' }, null, { hours: 'whenever', price: 40 }]), []);
+  assert.deepEqual(parse('[not json'), []);
+  assert.deepEqual(parse(null), []);
+});
+
+test('activeAt() gives the cheapest window running then, with its end', () => {
+  const windows = parse('Mon-Fri 16:00-19:00 = 45 | Fri 17:00-18:00 = 35 | Fri 23:00-01:00 = 50');
+  assert.equal(activeAt(windows, 0, H(15)), null);
+  const monday = activeAt(windows, 0, H(17));
+  assert.equal(monday.window.price, 45);
+  assert.equal(monday.until, H(19));
+  assert.equal(activeAt(windows, 4, H(17, 30)).window.price, 35);
+  // Friday's late window still runs early Saturday
+  const saturday = activeAt(windows, 5, H(0, 30));
+  assert.equal(saturday.window.price, 50);
+  assert.equal(saturday.until, H(1));
+});
+
+test('nextStart() and cheapestPrice()', () => {
+  const windows = parse(CELL);
+  // Friday evening: the next one is Saturday's
+  const { window, ...when } = nextStart(windows, 4, H(20));
+  assert.equal(window.price, 49);
+  assert.deepEqual(when, { day: 5, open: H(14), inDays: 1 });
+  assert.equal(nextStart(windows, 0, H(10)).window.price, 45);
+  assert.equal(nextStart([], 0, 0), null);
+  assert.equal(cheapestPrice(windows), 45);
+  assert.equal(cheapestPrice([]), null);
+});
@@ -0,0 +1,183 @@
+/**
+ * lib/llm-provider.js against a fake fetch: which failures are retried, the error codes
+ * callers fall back on, the deadline, SSE stream parsing, and the mock provider.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOpenAIProvider, createMockProvider, providerFromEnv } = require('../lib/llm-provider');
+
+const MESSAGES = [{ role: 'user', content: 'cheap beer' }];
+const COMPLETION = { choices: [{ message: { content: ' {"barIds":[],"reply":"hi"} ' } }], usage: { prompt_tokens: 10, completion_tokens: 5 } };
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+// A streamed response whose body arrives in the given pieces
+function streamResponse(pieces) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    body: (async function* () {
+      for (const piece of pieces) yield encoder.encode(piece);
+    })(),
+  };
+}
+
+// Answers each call with the next of `replies` (a response, or an Error to reject with)
+function fakeFetch(replies) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  return { fetch, calls };
+}
+
+// Never answers; rejects like fetch() does when the request is aborted
+function hangingFetch() {
+  let calls = 0;
+  const fetch = (url, init) => {
+    calls++;
+    return new Promise((_, reject) => {
+      init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    });
+  };
+  return { fetch, calls: () => calls };
+}
+
+function provider(fetch, options = {}) {
+  return createOpenAIProvider({ fetch, logUsage: false, baseUrl: 'http://llm.test/v1/', ...options });
+}
+
+// Retries log a warning each; keep the test output readable
+test.beforeEach(() => test.mock.method(console, 'warn', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+test('complete() returns the trimmed content and counts usage', async () => {
+  const { fetch, calls } = fakeFetch([response(200, COMPLETION)]);
+  const llm = provider(fetch, { model: 'small' });
+  const result = await llm.complete({ messages: MESSAGES, maxTokens: 50 });
+  assert.equal(result.content, '{"barIds":[],"reply":"hi"}');
+  assert.deepEqual(result.usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+  assert.equal(calls[0].url, 'http://llm.test/v1/chat/completions');
+  assert.equal(calls[0].body.model, 'small');
+  assert.equal(calls[0].body.max_tokens, 50);
+  assert.equal(llm.usage.calls, 1);
+});
+
+test('5xx, 429 and network errors are retried; other errors are not', async () => {
+  const retried = fakeFetch([response(503, 'busy', { 'retry-after': '0' }), new TypeError('fetch failed'), response(200, COMPLETION)]);
+  assert.equal((await provider(retried.fetch).complete({ messages: MESSAGES })).content, '{"barIds":[],"reply":"hi"}');
+  assert.equal(retried.calls.length, 3);
+
+  const limited = fakeFetch([response(429, 'slow down', { 'retry-after': '0' })]);
+  await assert.rejects(provider(limited.fetch, { maxRetries: 1 }).complete({ messages: MESSAGES }), { code: 'LLM_HTTP_ERROR', status: 429 });
+  assert.equal(limited.calls.length, 2);
+
+  const bad = fakeFetch([response(400, 'bad request')]);
+  await assert.rejects(provider(bad.fetch).complete({ messages: MESSAGES }), { code: 'LLM_HTTP_ERROR', status: 400 });
+  assert.equal(bad.calls.length, 1);
+
+  const down = fakeFetch([new TypeError('fetch failed')]);
+  await assert.rejects(provider(down.fetch, { maxRetries: 0 }).complete({ messages: MESSAGES }), (err) => {
+    assert.equal(err.code, 'LLM_NETWORK_ERROR');
+    assert.equal(err.cause.message, 'fetch failed');
+    return true;
+  });
+});
+
+test('no answer within the timeout is LLM_TIMEOUT', async () => {
+  const hanging = hangingFetch();
+  await assert.rejects(provider(hanging.fetch, { timeoutMs: 20, maxRetries: 1 }).complete({ messages: MESSAGES }), { code: 'LLM_TIMEOUT' });
+  assert.equal(hanging.calls(), 2);
+});
+
+test('the deadline covers every attempt and the backoff between them', async () => {
+  const hanging = hangingFetch();
+  const started = Date.now();
+  await assert.rejects(provider(hanging.fetch, { timeoutMs: 5000, maxRetries: 5, deadlineMs: 100 }).complete({ messages: MESSAGES }), { code: 'LLM_TIMEOUT' });
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+  assert.equal(hanging.calls(), 1);
+
+  const env = { LLM_API_KEY: 'k', LLM_DEADLINE_MS: '' };
+  const fromEnv = providerFromEnv((name) => env[name], { fetch: hanging.fetch, deadlineMs: 50 });
+  await assert.rejects(fromEnv.complete({ messages: MESSAGES }), { code: 'LLM_TIMEOUT', message: /50ms deadline/ });
+});
+
+test('a response that is not JSON is INVALID_MODEL_REPLY, and not retried', async () => {
+  const { fetch, calls } = fakeFetch([response(200, '<html>proxy error</html>')]);
+  await assert.rejects(provider(fetch).complete({ messages: MESSAGES }), { code: 'INVALID_MODEL_REPLY' });
+  assert.equal(calls.length, 1);
+});
+
+test('stream() reads SSE lines split anywhere across chunks', async () => {
+  const sse = [
+    'data: {"choices":[{"delta":{"content":"{\\"barIds\\""}}]}\n\n',
+    ': keep-alive\n\n',
+    'data: {"choices":[{"delta":{"content":":[],\\"re"}}]}\n\ndata: {"choi',
+    'ces":[{"delta":{"content":"ply\\":\\"hi\\"}"}}]}\n\n',
+    'data: {"choices":[],"usage":{"prompt_tokens":7,"completion_tokens":3,"total_tokens":10}}\n\n',
+    'data: [DONE]\n\n',
+  ];
+  const { fetch, calls } = fakeFetch([streamResponse(sse)]);
+  const deltas = [];
+  const result = await provider(fetch).stream({ messages: MESSAGES }, (text) => deltas.push(text));
+  assert.deepEqual(deltas, ['{"barIds"', ':[],"re', 'ply":"hi"}']);
+  assert.equal(result.content, '{"barIds":[],"reply":"hi"}');
+  assert.equal(result.usage.totalTokens, 10);
+  assert.equal(calls[0].body.stream, true);
+});
+
+test('a broken stream line is INVALID_MODEL_REPLY; a stream is not retried after its first delta', async () => {
+  const garbled = fakeFetch([streamResponse(['data: {"choices":[{"delta":{"content":"hi"}}]}\n', 'data: {oops\n'])]);
+  await assert.rejects(provider(garbled.fetch).stream({ messages: MESSAGES }, () => {}), { code: 'INVALID_MODEL_REPLY' });
+  assert.equal(garbled.calls.length, 1);
+
+  const dropped = {
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    body: (async function* () {
+      yield new TextEncoder().encode('data: {"choices":[{"delta":{"content":"hi"}}]}\n');
+      throw new TypeError('terminated');
+    })(),
+  };
+  const broken = fakeFetch([dropped, streamResponse(['data: [DONE]\n'])]);
+  await assert.rejects(provider(broken.fetch).stream({ messages: MESSAGES }, () => {}), { code: 'LLM_NETWORK_ERROR' });
+  assert.equal(broken.calls.length, 1);
+});
+
+test('the mock provider records calls and streams its reply in pieces', async () => {
+  const llm = createMockProvider({ reply: (messages) => JSON.stringify({ barIds: ['kvarnen'], reply: messages[0].content }) });
+  const pieces = [];
+  const result = await llm.stream({ messages: MESSAGES, label: 'test' }, (text) => pieces.push(text));
+  assert.ok(pieces.length > 1);
+  assert.equal(pieces.join(''), result.content);
+  assert.deepEqual(JSON.parse(result.content), { barIds: ['kvarnen'], reply: 'cheap beer' });
+  assert.equal(llm.calls[0].label, 'test');
+
+  const prompt = [{ role: 'system', content: 'Bars:\n- id: "a"\n- id: "b"\n- id: "c"\n- id: "d"' }];
+  assert.deepEqual(JSON.parse((await createMockProvider().complete({ messages: prompt })).content).barIds, ['a', 'b', 'c']);
+});
+
+test('providerFromEnv() picks the provider from the environment', () => {
+  const from = (env) => providerFromEnv((name) => env[name]);
+  assert.equal(from({}), null);
+  assert.equal(from({ LLM_PROVIDER: 'mock' }).name, 'mock');
+  assert.equal(from({ OPENAI_API_KEY: 'k' }).name, 'openai');
+  assert.equal(from({ LLM_BASE_URL: 'http://localhost:11434/v1' }).baseUrl, 'http://localhost:11434/v1');
+  assert.throws(() => from({ LLM_PROVIDER: 'claude' }), { code: 'LLM_CONFIG' });
+});
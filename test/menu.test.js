@@ -0,0 +1,75 @@
+/**
+ * lib/menu.js: menu cells and bars.json arrays parse to the same items and write back
+ * unchanged, menuOf() falls back to the old single price, and the per-litre comparisons.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Menu = require('../lib/menu');
+const BarsCsv = require('../lib/bars-csv');
+
+const { parse, menuOf, pricePerLitre, cheapest, categoryStats, categoriesOf, formatItem, toJSON, toCell } = Menu;
+
+const CELL = 'beer: Norrlands Guld 40 cl = 49 | cider: Somersby 33 cl = 59 | wine: = 85';
+const JSON_FORM = [
+  { category: 'beer', name: 'Norrlands Guld', cl: 40, price: 49 },
+  { category: 'cider', name: 'Somersby', cl: 33, price: 59 },
+  { category: 'wine', price: 85 },
+];
+
+test('a cell gives one item per "|" part, with or without a name and size', () => {
+  assert.deepEqual(toJSON(parse(CELL)), JSON_FORM);
+  assert.deepEqual(parse('Öl: Pripps Blå = 45,50 kr | Alkoholfri: Heineken 0.0 33 cl = 39 | shots: Fernet = 60'), [
+    { category: 'beer', name: 'Pripps Blå', cl: null, price: 45.5 },
+    { category: 'non_alcoholic', name: 'Heineken 0.0', cl: 33, price: 39 },
+    { category: 'other', name: 'Fernet', cl: null, price: 60 },
+  ]);
+});
+
+test('unreadable items are dropped', () => {
+  // No category, no price
+  assert.deepEqual(parse('wine = 85 | beer: Pilsner = cheap'), []);
+  assert.deepEqual(parse([{ category: 'beer' }, null, { price: 40 }, { category: 'cider', price: 'free' }]), []);
+  assert.deepEqual(parse('[broken'), []);
+  assert.deepEqual(parse({ beer: 49 }), []);
+  assert.deepEqual(parse(null), []);
+});
+
+test('cells, arrays and JSON text round-trip', () => {
+  const items = parse(JSON_FORM);
+  assert.deepEqual(toJSON(items), JSON_FORM);
+  assert.deepEqual(toJSON(parse(JSON.stringify(JSON_FORM))), JSON_FORM);
+  assert.equal(toCell(items), CELL);
+  assert.deepEqual(parse(toCell(items)), items);
+  const csv = BarsCsv.toCSV([{ id: 'kvarnen', bar_name: 'Kvarnen', menu: JSON_FORM }]);
+  assert.deepEqual(BarsCsv.rowToFields(BarsCsv.parseCSV(csv).rows[0]).menu, JSON_FORM);
+});
+
+test('menuOf() adds the old price as a beer unless the menu already has it', () => {
+  assert.deepEqual(menuOf(null, 52, ' Mariestads '), [{ category: 'beer', name: 'Mariestads', cl: null, price: 52 }]);
+  assert.deepEqual(menuOf(JSON_FORM, '45', null)[0], { category: 'beer', name: null, cl: null, price: 45 });
+  assert.equal(menuOf(JSON_FORM, 45).length, 4);
+  // Same price as the menu's beer: already listed
+  assert.deepEqual(menuOf(JSON_FORM, 49, 'Norrlands'), parse(JSON_FORM));
+  // A cider at that price is not a beer
+  assert.equal(menuOf([{ category: 'cider', price: 49 }], 49).length, 2);
+  assert.deepEqual(menuOf(JSON_FORM, null), parse(JSON_FORM));
+  assert.deepEqual(menuOf(null, ''), []);
+});
+
+test('per-litre prices make 33 cl and 50 cl comparable', () => {
+  const items = parse('beer: Pilsner 50 cl = 65 | beer: Lager 33 cl = 49 | beer: Tap = 45');
+  assert.equal(pricePerLitre(items[0]), 130);
+  assert.equal(pricePerLitre(items[2]), null);
+  assert.equal(cheapest(items, 'beer').name, 'Tap');
+  assert.equal(cheapest(items, 'beer', 'litre').name, 'Pilsner');
+  assert.equal(cheapest(items, 'cider'), null);
+  assert.deepEqual(categoryStats([items, parse(CELL), []], 'beer', 'litre'), { bars: 2, cheapest: 123, average: 127 });
+  assert.deepEqual(categoryStats([parse(CELL)], 'ipa'), { bars: 0, cheapest: null, average: null });
+  assert.deepEqual(categoriesOf(parse(CELL).reverse()), ['beer', 'cider', 'wine']);
+  assert.equal(formatItem(items[1]), 'Lager 33 cl · 49 kr (148 kr/l)');
+  assert.equal(formatItem(items[2]), 'Tap · 45 kr');
+  assert.equal(formatItem(parse(CELL)[2]), 'Wine · 85 kr');
+});
@@ -0,0 +1,97 @@
+/**
+ * lib/opening-hours.js: every hours format in the file header parses to the same week,
+ * overnight spans count on the next day, and formatWeek() text reads back unchanged.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OpeningHours = require('../lib/opening-hours');
+
+const { parse, isOpenAt, isOpenLateOn, minutesUntilClose, nextOpening, formatWeek, formatClock, dayIndex } = OpeningHours;
+
+const H = (h, m = 0) => h * 60 + m;
+const span = (open, close) => [{ open, close }];
+// Mon-Thu 15–01, Fri-Sat 15–03, Sun closed
+const WEEKEND_LATE = [
+  span(H(15), H(25)), span(H(15), H(25)), span(H(15), H(25)), span(H(15), H(25)),
+  span(H(15), H(27)), span(H(15), H(27)), [],
+];
+
+test('day ranges and several groups', () => {
+  assert.deepEqual(parse('Mon-Thu 15:00-01:00, Fri-Sat 15:00-03:00, Sun Closed'), WEEKEND_LATE);
+  assert.deepEqual(parse('Mon-Sun: 16:00 - 01:00'), Array(7).fill(span(H(16), H(25))));
+});
+
+test('AM/PM, "to" and day names written out', () => {
+  const week = parse('Monday to Friday: 11:30 AM - 1:00 AM, Sunday: Closed');
+  for (let d = 0; d < 5; d++) assert.deepEqual(week[d], span(H(11, 30), H(25)), `day ${d}`);
+  assert.equal(week[5], null);
+  assert.deepEqual(week[6], []);
+});
+
+test('objects, JSON text and Google weekday_text give the same week', () => {
+  const object = { Monday: '15:00 - 01:00', Tuesday: '15:00 - 01:00', Wednesday: '15:00 - 01:00', Thursday: '15:00 - 01:00', Friday: '15:00 - 03:00', Saturday: '15:00 - 03:00', Sunday: 'Closed' };
+  assert.deepEqual(parse(object), WEEKEND_LATE);
+  assert.deepEqual(parse(JSON.stringify(object)), WEEKEND_LATE);
+  assert.deepEqual(parse(Object.entries(object).map(([day, hours]) => `${day}: ${hours}`)), WEEKEND_LATE);
+  // The unquoted form old CSV exports have
+  assert.deepEqual(parse('{Monday:15:00 - 01:00,Tuesday:15:00 - 01:00,Wednesday:15:00 - 01:00,Thursday:15:00 - 01:00,Friday:15:00 - 03:00,Saturday:15:00 - 03:00,Sunday:Closed}'), WEEKEND_LATE);
+});
+
+test('several ranges a day, "&", daily, 24 hours and Swedish', () => {
+  assert.deepEqual(parse('Mon: 11-14, 17-01')[0], [{ open: H(11), close: H(14) }, { open: H(17), close: H(25) }]);
+  const weekend = parse('Sat & Sun: 12:00-00:00');
+  assert.deepEqual(weekend[5], span(H(12), H(24)));
+  assert.deepEqual(weekend[6], span(H(12), H(24)));
+  assert.equal(weekend[0], null);
+  assert.deepEqual(parse('Daily 16-01'), Array(7).fill(span(H(16), H(25))));
+  assert.deepEqual(parse('Open 24 hours')[3], span(0, H(24)));
+  const swedish = parse('Mån-Fre 16:00-00:00, Lör 12:00-03:00, Sön stängt');
+  assert.deepEqual(swedish[0], span(H(16), H(24)));
+  assert.deepEqual(swedish[5], span(H(12), H(27)));
+  assert.deepEqual(swedish[6], []);
+});
+
+test('unreadable or missing hours are unknown, not closed', () => {
+  assert.deepEqual(parse(null), Array(7).fill(null));
+  assert.deepEqual(parse(''), Array(7).fill(null));
+  assert.deepEqual(parse('ask the bartender'), Array(7).fill(null));
+  assert.equal(isOpenAt(parse(null), 4, H(22)), null);
+});
+
+test('a week from parse() passes through as a copy', () => {
+  const copy = parse(WEEKEND_LATE);
+  assert.deepEqual(copy, WEEKEND_LATE);
+  assert.notEqual(copy[0], WEEKEND_LATE[0]);
+});
+
+test('overnight hours count on the night after', () => {
+  // Friday 15–03: open Saturday 02:00, closed Saturday 04:00
+  assert.equal(isOpenAt(WEEKEND_LATE, 5, H(2)), true);
+  assert.equal(isOpenAt(WEEKEND_LATE, 5, H(4)), false);
+  // Sunday is closed, but Saturday night runs into it
+  assert.equal(isOpenAt(WEEKEND_LATE, 6, H(1)), true);
+  assert.equal(isOpenAt(WEEKEND_LATE, 6, H(20)), false);
+  assert.equal(minutesUntilClose(WEEKEND_LATE, 4, H(23)), H(4));
+  assert.equal(minutesUntilClose(WEEKEND_LATE, 0, H(12)), null);
+  assert.equal(isOpenLateOn(WEEKEND_LATE, 4, H(26)), true);
+  assert.equal(isOpenLateOn(WEEKEND_LATE, 0, H(26)), false);
+  assert.equal(isOpenLateOn(WEEKEND_LATE, null, H(26)), true);
+});
+
+test('next opening skips closed days', () => {
+  assert.deepEqual(nextOpening(WEEKEND_LATE, 0, H(12)), { day: 0, open: H(15), inDays: 0 });
+  assert.deepEqual(nextOpening(WEEKEND_LATE, 6, H(12)), { day: 0, open: H(15), inDays: 1 });
+  assert.equal(nextOpening(Array(7).fill([]), 0, 0), null);
+});
+
+test('formatWeek() text parses back to the same week', () => {
+  const text = formatWeek(WEEKEND_LATE);
+  assert.equal(text, 'Mon-Thu 15:00–01:00, Fri-Sat 15:00–03:00, Sun Closed');
+  assert.deepEqual(parse(text), WEEKEND_LATE);
+  assert.equal(formatClock(H(26, 30)), '02:30');
+  assert.equal(dayIndex('Lördag'), 5);
+  assert.equal(dayIndex('xyz'), null);
+});
@@ -0,0 +1,61 @@
+/**
+ * lib/price-history.js: what normalize() keeps, when addPrice() appends or only re-checks,
+ * the "was 45 kr in March" text, and that a history survives bars-info.csv unchanged.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PriceHistory = require('../lib/price-history');
+const BarsCsv = require('../lib/bars-csv');
+
+const { normalize, addPrice, lastChecked, previousPrice, describeChange } = PriceHistory;
+
+const HISTORY = [
+  { date: '2025-11-20', price: 52, source: 'manual' },
+  { date: '2026-03-01', price: 49, source: 'suggestion', checked: '2026-09-01' },
+];
+
+test('normalize() sorts, fixes dates and drops what it cannot read', () => {
+  assert.deepEqual(normalize([HISTORY[1], { date: '2025-11-20T18:30:00Z', price: '52', source: 'web' }, { date: 'soon', price: 40 }, { date: '2026-01-01' }, null]), [
+    { date: '2025-11-20', price: 52, source: 'manual' },
+    HISTORY[1],
+  ]);
+  // A check on or before the date it was recorded says nothing
+  assert.deepEqual(normalize([{ date: '2026-03-01', price: 49, source: 'scrape', checked: '2026-03-01' }]), [{ date: '2026-03-01', price: 49, source: 'scrape' }]);
+  assert.deepEqual(normalize('[]'), []);
+  assert.deepEqual(normalize(HISTORY), HISTORY);
+});
+
+test('addPrice() appends a new price and only re-checks an unchanged one when observed', () => {
+  assert.deepEqual(addPrice(HISTORY, 55, { date: '2026-10-01', source: 'scrape' }).at(-1), { date: '2026-10-01', price: 55, source: 'scrape' });
+  // Regenerating bars.json from the same data
+  assert.deepEqual(addPrice(HISTORY, 49, { date: '2026-10-01' }), HISTORY);
+  assert.deepEqual(addPrice(HISTORY, '49', { date: '2026-10-01', observed: true }).at(-1), { ...HISTORY[1], checked: '2026-10-01' });
+  // An older observation does not move the check back
+  assert.deepEqual(addPrice(HISTORY, 49, { date: '2026-05-01', observed: true }), HISTORY);
+  assert.deepEqual(addPrice(HISTORY, null), HISTORY);
+  assert.deepEqual(addPrice(undefined, 45, { date: '2026-10-01T09:00:00Z' }), [{ date: '2026-10-01', price: 45, source: 'manual' }]);
+});
+
+test('lastChecked() and previousPrice()', () => {
+  assert.equal(lastChecked(HISTORY), '2026-09-01');
+  assert.equal(lastChecked([]), null);
+  assert.deepEqual(previousPrice(HISTORY), HISTORY[0]);
+  assert.equal(previousPrice(HISTORY.slice(1)), null);
+  assert.equal(previousPrice(null), null);
+});
+
+test('describeChange() names the month, and the year when it is not this one', () => {
+  assert.equal(describeChange(HISTORY, new Date('2025-12-24T12:00:00Z')), 'was 52 kr in November');
+  assert.equal(describeChange(HISTORY, new Date('2026-10-19T12:00:00Z')), 'was 52 kr in November 2025');
+  assert.equal(describeChange(HISTORY.slice(1)), '');
+});
+
+test('a history survives the bars-info.csv export and import', () => {
+  const csv = BarsCsv.toCSV([{ id: 'kvarnen', bar_name: 'Kvarnen', price: 49, price_history: HISTORY }]);
+  const fields = BarsCsv.rowToFields(BarsCsv.parseCSV(csv).rows[0]);
+  assert.deepEqual(fields.price_history, HISTORY);
+  assert.deepEqual(normalize(fields.price_history), HISTORY);
+});
@@ -0,0 +1,80 @@
+/**
+ * lib/validate-bar-chat.js: the strict reply shape, the streaming reader, how model ids are
+ * mapped onto bars.json ids, and the per-bar reasons.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseModelReply, createReplyStreamParser, resolveBarIds, explainBar, buildResults } = require('../lib/validate-bar-chat');
+const { parseQuery } = require('../lib/bar-query');
+const { normalizeBar } = require('../lib/bar-normalize');
+
+// Friday 21:00
+const FRIDAY_NINE = { day: 4, minutes: 21 * 60 };
+
+const BARS = [
+  { id: 'kvarnen', bar_name: 'Kvarnen', price: 86, rating: 4.1, moods: ['party_night'], dance_floor: 'yes', opening_hours: 'Mon-Sun: 11:00 - 03:00' },
+  { id: 'algen-bar', bar_name: 'Älgen Bar', price: 45, rating: 4.0, moods: ['cheap_night_out'], opening_hours: 'Mon-Sun: 16:00 - 01:00' },
+  { id: 'racamaca', bar_name: 'Racamaca', price: 55, moods: ['first_date'] },
+].map(normalizeBar);
+
+const isInvalid = (err) => err.code === 'INVALID_MODEL_REPLY';
+
+test('parseModelReply() takes the strict object, in or out of a code fence', () => {
+  const reply = { barIds: ['kvarnen'], reply: '  Go dancing.  ' };
+  assert.deepEqual(parseModelReply(JSON.stringify(reply)), { barIds: ['kvarnen'], reply: 'Go dancing.' });
+  assert.deepEqual(parseModelReply('```json\n' + JSON.stringify(reply) + '\n```').barIds, ['kvarnen']);
+  assert.equal(parseModelReply(JSON.stringify({ barIds: [], reply: 'x'.repeat(500) })).reply.length, 300);
+});
+
+test('parseModelReply() throws INVALID_MODEL_REPLY for anything else', () => {
+  for (const content of [
+    '',
+    'Here you go: {"barIds":[],"reply":"hi"}',
+    '[]',
+    '{"barIds":[],"reply":"hi","extra":1}',
+    '{"barIds":"kvarnen","reply":"hi"}',
+    '{"barIds":[1],"reply":"hi"}',
+    '{"barIds":[],"reply":"  "}',
+  ]) {
+    assert.throws(() => parseModelReply(content), isInvalid, content);
+  }
+});
+
+test('the stream reader sends the ids once and the reply piece by piece', () => {
+  const ids = [];
+  let reply = '';
+  const parser = createReplyStreamParser({ onBarIds: (b) => ids.push(b), onReplyText: (t) => { reply += t; } });
+  const full = JSON.stringify({ barIds: ['kvarnen', 7, 'racamaca'], reply: 'Two "good" ones\nand ünïcode' });
+  // Small chunks cut through escapes
+  for (let i = 0; i < full.length; i += 3) parser.push(full.slice(i, i + 3));
+  assert.deepEqual(ids, [['kvarnen', 'racamaca']]);
+  assert.equal(reply, 'Two "good" ones\nand ünïcode');
+  assert.equal(parser.text, full);
+});
+
+test('resolveBarIds() maps near misses, drops unknown ids and duplicates', () => {
+  const { barIds, dropped, mapped } = resolveBarIds(['Kvarnen', 'kvarnen-bar', 'algen-baar', 'Älgen Bar', 'nowhere'], BARS, null, FRIDAY_NINE);
+  assert.deepEqual(barIds, ['kvarnen', 'algen-bar']);
+  assert.deepEqual(dropped, ['nowhere']);
+  assert.deepEqual(mapped, { Kvarnen: 'kvarnen', 'kvarnen-bar': 'kvarnen', 'algen-baar': 'algen-bar', 'Älgen Bar': 'algen-bar' });
+});
+
+test('resolveBarIds() drops bars that break the query limits', () => {
+  const { barIds, dropped } = resolveBarIds(['kvarnen', 'algen-bar', 'racamaca'], BARS, parseQuery('beer under 60'), FRIDAY_NINE);
+  assert.deepEqual(barIds, ['algen-bar', 'racamaca']);
+  assert.deepEqual(dropped, ['kvarnen']);
+  assert.deepEqual(resolveBarIds(['kvarnen', 'algen-bar'], BARS, parseQuery('with a dance floor'), FRIDAY_NINE).barIds, ['kvarnen']);
+});
+
+test('reasons come from the bar record', () => {
+  const kvarnen = BARS[0];
+  assert.equal(explainBar(kvarnen, parseQuery('party night'), FRIDAY_NINE), '86 kr, open till 03, dance floor, party night, 4.1★');
+  assert.equal(explainBar(BARS[2], null, FRIDAY_NINE), '55 kr');
+  assert.deepEqual(buildResults(['racamaca', 'gone', 'algen-bar'], BARS, null, FRIDAY_NINE).map((r) => [r.id, r.name]), [
+    ['racamaca', 'Racamaca'],
+    ['algen-bar', 'Älgen Bar'],
+  ]);
+});
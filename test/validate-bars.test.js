@@ -0,0 +1,104 @@
+/**
+ * scripts/validate-bars.js on small bars files: what is an error (exit 1), what only a
+ * warning (exit 0, or 1 with --strict), and that the real bars.json passes.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'validate-bars.js');
+const SCRIPT_TIMEOUT_MS = 30000;
+
+// Two bars on Södermalm that pass every check
+const KVARNEN = { id: 'kvarnen', bar_name: 'Kvarnen', lat: 59.3165, lng: 18.0745, district: 'Södermalm', price: 69, opening_hours: 'Mon-Sun 11:00-03:00', moods: ['party_night'] };
+const AKKURAT = { id: 'akkurat', bar_name: 'Akkurat', lat: 59.3196, lng: 18.0697, district: 'Södermalm', price: 79, happy_hours: [{ hours: 'Mon-Fri 15:00-18:00', price: 59 }] };
+
+let dir;
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-bars-'));
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs the validator on `bars` -> { status, issues: [{ level, check, where, message }] }
+function validate(bars, args = []) {
+  const file = path.join(dir, 'bars.json');
+  fs.writeFileSync(file, typeof bars === 'string' ? bars : JSON.stringify(bars), 'utf8');
+  const result = spawnSync(process.execPath, [SCRIPT, file, ...args], { cwd: dir, encoding: 'utf8', timeout: SCRIPT_TIMEOUT_MS });
+  const issues = result.stdout
+    .split('\n')
+    .map((line) => line.match(/^(error|warning)\s+(\S+)\s+(.+?): (.*)$/))
+    .filter(Boolean)
+    .map(([, level, check, where, message]) => ({ level, check, where, message }));
+  return { status: result.status, issues, output: result.stdout + result.stderr };
+}
+
+const checks = (issues, level) => issues.filter((i) => i.level === level).map((i) => i.check);
+
+test('clean bars pass; the real bars.json has no errors', () => {
+  const clean = validate([KVARNEN, AKKURAT]);
+  assert.equal(clean.status, 0, clean.output);
+  assert.deepEqual(clean.issues, []);
+  const real = spawnSync(process.execPath, [SCRIPT], { cwd: ROOT, encoding: 'utf8', timeout: SCRIPT_TIMEOUT_MS });
+  assert.equal(real.status, 0, real.stdout);
+});
+
+test('schema violations are errors', () => {
+  const { status, issues } = validate([{ ...KVARNEN, price: '69 kr', colour: 'red' }, { id: 'nameless' }, { ...AKKURAT, price_history: [{ date: 'March', price: 59 }] }]);
+  assert.equal(status, 1);
+  assert.deepEqual(issues.filter((i) => i.level === 'error').map((i) => [i.where, i.message]), [
+    ['[0] kvarnen', 'price: expected number or null, got string'],
+    ['[0] kvarnen', 'colour: unknown field (see BARS-FILE.md for the accepted names)'],
+    ['[1] nameless', 'bar: needs bar_name or name'],
+    ['[2] akkurat', 'price_history[0].date: "March" does not match ^\\d{4}-\\d{2}-\\d{2}$'],
+  ]);
+  assert.equal(validate({ bars: [] }).status, 1);
+});
+
+test('duplicate ids, coordinates outside Stockholm, unknown moods and stacked bars are errors', () => {
+  const { status, issues } = validate([
+    KVARNEN,
+    { ...AKKURAT, id: 'kvarnen' },
+    { ...AKKURAT, id: 'far', bar_name: 'Far Away', lat: 57.7, lng: 11.97, district: null },
+    { ...AKKURAT, id: 'moody', bar_name: 'Moody', lat: 59.318, moods: ['romantic'] },
+  ]);
+  assert.equal(status, 1);
+  assert.deepEqual(checks(issues, 'error'), ['duplicate-id', 'duplicate-id', 'coordinates', 'moods']);
+  assert.match(issues.find((i) => i.check === 'moods').message, /unknown mood romantic/);
+
+  const spot = { lat: 59.317, lng: 18.06 };
+  const stacked = validate(['a', 'b', 'c'].map((id) => ({ id, bar_name: id.toUpperCase(), ...spot })));
+  assert.equal(stacked.status, 1);
+  assert.deepEqual(checks(stacked.issues, 'error'), ['stacked']);
+});
+
+test('doubtful data is a warning, and fails only with --strict', () => {
+  const bars = [
+    { ...KVARNEN, price: 12, opening_hours: 'ask the bartender' },
+    { ...AKKURAT, id: 'akkurat-2', bar_name: 'Kvarnen', lat: null, lng: null },
+    { ...AKKURAT, happy_hours: [{ hours: 'Mon-Fri 15:00-18:00', price: 85 }, { hours: 'after work', price: 50 }] },
+    { id: 'gamla', bar_name: 'Gamla', lat: 59.3251, lng: 18.0711, district: 'Södermalm' },
+    { id: 'pair-1', bar_name: 'Pair One', lat: 59.315, lng: 18.07 },
+    { id: 'pair-2', bar_name: 'Pair Two', lat: 59.315, lng: 18.07 },
+  ];
+  const { status, issues } = validate(bars);
+  assert.equal(status, 0);
+  assert.deepEqual(checks(issues, 'error'), []);
+  assert.deepEqual(checks(issues, 'warning').sort(), ['coordinates', 'district', 'duplicate-name', 'hours', 'hours', 'price', 'price', 'stacked']);
+  assert.match(issues.find((i) => i.check === 'district').message, /district "Södermalm" but the coordinates are in Gamla stan/);
+  assert.equal(validate(bars, ['--strict']).status, 1);
+});
+
+test('a file that is not JSON, or missing, fails', () => {
+  const broken = validate('[{"id": "kvarnen",');
+  assert.equal(broken.status, 1);
+  const missing = spawnSync(process.execPath, [SCRIPT, path.join(dir, 'nope.json')], { cwd: dir, encoding: 'utf8', timeout: SCRIPT_TIMEOUT_MS });
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /not found/);
+});
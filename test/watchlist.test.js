@@ -0,0 +1,83 @@
+/**
+ * lib/watchlist.js: which bars.json changes raise a watchlist alert, what snapshots are
+ * kept between checks, and the alert text.
+ *
+ * Run: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { snapshotBar, diffSnapshots, checkBars, describeChange } = require('../lib/watchlist');
+
+const H = (h, m = 0) => h * 60 + m;
+const AT = '2026-10-16T18:00:00.000Z';
+
+const KVARNEN = {
+  id: 'kvarnen',
+  bar_name: 'Kvarnen',
+  price: 86,
+  opening_hours: 'Mon-Thu 11:00-01:00, Fri-Sat 11:00-03:00, Sun 12:00-01:00',
+  happy_hours: [{ hours: 'Mon-Fri 16:00-18:00', price: 59 }],
+};
+
+test('a snapshot holds the price, each day\'s closing time and the happy-hour price', () => {
+  assert.deepEqual(snapshotBar(KVARNEN), {
+    price: 86,
+    closes: [H(25), H(25), H(25), H(25), H(27), H(27), H(25)],
+    happy: 59,
+  });
+  const bare = snapshotBar({ id: 'x', bar_name: 'X' });
+  assert.equal(bare.price, null);
+  assert.deepEqual(bare.closes, Array(7).fill(null));
+  assert.equal(bare.happy, null);
+});
+
+test('a cheaper beer, later closing and a new or cheaper happy hour are alerts', () => {
+  const prev = snapshotBar(KVARNEN);
+  const next = snapshotBar({
+    ...KVARNEN,
+    price: 79,
+    opening_hours: 'Mon-Thu 11:00-01:00, Fri-Sat 11:00-04:00, Sun 12:00-01:00',
+    happy_hours: [{ hours: 'Mon-Fri 16:00-18:00', price: 49 }],
+  });
+  assert.deepEqual(diffSnapshots(prev, next), [
+    { type: 'price_drop', from: 86, to: 79 },
+    { type: 'happy_hour', from: 59, to: 49 },
+    { type: 'later_hours', days: [4, 5], from: H(27), to: H(28) },
+  ]);
+  assert.deepEqual(diffSnapshots({ ...prev, happy: null }, prev), [{ type: 'happy_hour', from: null, to: 59 }]);
+});
+
+test('dearer beer, earlier closing and newly known hours are not', () => {
+  const prev = snapshotBar({ ...KVARNEN, opening_hours: 'Mon-Fri 11:00-01:00' });
+  const next = snapshotBar({ ...KVARNEN, price: 92, opening_hours: 'Mon-Thu 11:00-00:00, Fri-Sat 11:00-03:00' });
+  // Friday 01 -> 03 is later; Saturday had no hours before
+  assert.deepEqual(diffSnapshots(prev, next), [{ type: 'later_hours', days: [4], from: H(25), to: H(27) }]);
+  // Snapshots from before happy hours were tracked
+  const old = snapshotBar(KVARNEN);
+  delete old.happy;
+  assert.deepEqual(diffSnapshots(old, snapshotBar(KVARNEN)), []);
+});
+
+test('checkBars() snapshots new bars quietly and keeps only watched ids', () => {
+  const first = checkBars([KVARNEN], ['kvarnen'], {}, AT);
+  assert.deepEqual(first.changes, []);
+  assert.deepEqual(Object.keys(first.snapshots), ['kvarnen']);
+
+  const second = checkBars([{ ...KVARNEN, price: 79 }], ['kvarnen', 'gone'], { ...first.snapshots, gone: first.snapshots.kvarnen, unwatched: {} }, AT);
+  assert.deepEqual(second.changes, [{ id: 'kvarnen', name: 'Kvarnen', at: AT, type: 'price_drop', from: 86, to: 79 }]);
+  // "gone" is not in bars.json any more but still watched; "unwatched" is dropped
+  assert.deepEqual(Object.keys(second.snapshots).sort(), ['gone', 'kvarnen']);
+});
+
+test('alert text', () => {
+  assert.deepEqual(describeChange({ name: 'Kvarnen', type: 'price_drop', from: 86, to: 79 }), {
+    title: 'Kvarnen: 79 kr',
+    body: 'Cheapest beer dropped from 86 kr.',
+  });
+  assert.equal(describeChange({ name: 'Kvarnen', type: 'happy_hour', from: null, to: 49 }).body, 'New happy hour.');
+  assert.deepEqual(describeChange({ name: 'Kvarnen', type: 'later_hours', days: [4, 5], from: H(27), to: H(28) }), {
+    title: 'Kvarnen is open later',
+    body: 'Fri, Sat: now until 04:00 (was 03:00).',
+  });
+});